@@ -1,17 +1,34 @@
 const gulp = require('gulp')
 const path = require('path')
 
+const { validateBudget } = require('./budget')
+const { cleanTask } = require('./clean')
+const { completeTask } = require('./complete')
+const { validateCompress } = require('./compress')
+const { findTask, getAllTasks, getBuildLayers } = require('./dependencies')
 const { handleError, USAGE_INFO } = require('./feedback')
 const { isObject, toObjectArray, toUniqueStrings } = require('./helpers')
+const { withHooks } = require('./hooks')
+const { validateIncremental } = require('./incremental')
+const { mergeValues, trackOrigins } = require('./merge')
+const { profileTask } = require('./profile')
+const { validateConfig } = require('./schema')
 const { options, scripts } = require('./state')
-const { catchErrors, showError, showSizes, simpleStream } = require('./tools')
+const { createTools } = require('./tools')
+const { validateWatchOptions, watchTask } = require('./watch')
+
+/**
+ * Origin of the properties of normalized config objects
+ * @type {WeakMap<object, object>}
+ */
+const configOrigins = new WeakMap()
 
 /**
  * Register gulp tasks for a given callback function and config object(s)
  * @param {function|string} callbackMixed
  * @param {array|object} configsMixed
  */
-module.exports = function addTasks(callbackMixed, configsMixed) {
+function addTasks(callbackMixed, configsMixed) {
   let callback = null
   try {
     callback = getTaskCallback(callbackMixed)
@@ -29,7 +46,7 @@ module.exports = function addTasks(callbackMixed, configsMixed) {
       configs: [],
       normalizedConfigs: [],
       errors: [],
-      sources: []
+      tasks: []
     }
     scripts.push(data)
   }
@@ -44,22 +61,58 @@ module.exports = function addTasks(callbackMixed, configsMixed) {
   const normalizedConfigs = configs
     .map(obj => normalizeConfig(obj, data))
     .filter(isObject)
-  const sources = normalizedConfigs
-    .map(conf => conf.src)
-    .reduce((arr, item) => arr.concat(item), [])
 
   // Save data
   Object.assign(data, {
     configs: data.configs.concat(configs),
-    normalizedConfigs: data.normalizedConfigs.concat(normalizedConfigs),
-    sources: toUniqueStrings(data.sources.concat(sources))
+    normalizedConfigs: data.normalizedConfigs.concat(normalizedConfigs)
   })
 
   // define gulp tasks and overwrite group tasks (e.g. 'build' and 'watch')
   defineTasksForConfig(data)
+  defineDependentTasks()
   defineTaskGroups()
 }
 
+/**
+ * Make a gulp task function running layers of build tasks in series,
+ * and the tasks in each layer in parallel
+ * @param {Array<object[]>} layers - from getBuildLayers
+ * @return {Function}
+ */
+function composeLayers(layers) {
+  const steps = layers.map(layer => {
+    const fns = layer.map(task => task.run)
+    if (fns.length === 1) return fns[0]
+    return options.parallel
+      ? gulp.parallel.apply(null, fns)
+      : gulp.series.apply(null, fns)
+  })
+  return gulp.series.apply(null, steps)
+}
+
+/**
+ * Register build tasks which depend on other build tasks.
+ * Dependencies may be declared before the tasks they refer to, so we
+ * redefine those tasks each time tasks are added.
+ */
+function defineDependentTasks() {
+  for (const task of getAllTasks()) {
+    if (task.dependsOn.length === 0) continue
+    let layers = null
+    try {
+      layers = getBuildLayers([task])
+    } catch (err) {
+      gulp.task(task.buildId, done => {
+        handleError(err)
+        done()
+      })
+      continue
+    }
+    gulp.task(task.buildId, composeLayers(layers))
+  }
+}
+
 /**
  * Register configured task groups; by default, 'build' and 'watch'
  * We might end up calling this several times (especially if using
@@ -89,11 +142,31 @@ function defineTaskGroups() {
       return
     }
 
+    // Build tasks with dependencies need to run in order
+    const buildTasks = children.map(findTask).filter(Boolean)
+    const hasDependencies = buildTasks.some(task => task.dependsOn.length > 0)
+
     if (children.length === 0) {
       gulp.task(name, done => {
         handleError(new Error(`No tasks found in '${name}' group`))
         done()
       })
+    } else if (hasDependencies) {
+      let layers = null
+      try {
+        layers = getBuildLayers(buildTasks)
+      } catch (err) {
+        gulp.task(name, done => {
+          handleError(err)
+          done()
+        })
+        return
+      }
+      const others = children.filter(child => !findTask(child))
+      gulp.task(
+        name,
+        gulpMode.apply(null, others.concat(composeLayers(layers)))
+      )
     } else {
       gulp.task(name, gulpMode.apply(null, children))
     }
@@ -111,7 +184,7 @@ function defineTasksForConfig(taskData) {
   // - single config, 'name' key: <callback>_<name>
   // - multiple configs, no 'name' key: <callback>_<index>
   const { callback, name, normalizedConfigs } = taskData
-  normalizedConfigs.forEach((config, index) => {
+  taskData.tasks = normalizedConfigs.map((config, index) => {
     let taskId = name
     if (typeof config.name === 'string') {
       taskId += `_${config.name.trim()}`
@@ -120,34 +193,56 @@ function defineTasksForConfig(taskData) {
     }
     const buildId = options.buildPrefix + taskId
     const watchId = options.watchPrefix + taskId
+    const cleanId = options.cleanPrefix + taskId
 
-    // Register build task
-    gulp.task(buildId, done => {
-      return callback(config, {
-        done: done,
-        catchErrors: catchErrors,
-        showError: showError,
-        showSizes: showSizes,
-        simpleStream: simpleStream
-      })
+    // Register build task (tasks with dependencies are registered later)
+    const build = completeTask(
+      done => callback(config, createTools(buildId, done)),
+      { buildId, config }
+    )
+    const run = profileTask(withHooks(build, { callback, config, buildId }), {
+      buildId,
+      config
     })
+    run.displayName = buildId
+    const dependsOn = config.dependsOn || []
+    if (dependsOn.length === 0) {
+      gulp.task(buildId, run)
+    }
+
+    const task = {
+      id: taskId,
+      buildId,
+      watchId,
+      cleanId,
+      config,
+      dependsOn,
+      run,
+      data: taskData
+    }
 
     // Register matching watch task
     if (Array.isArray(config.watch) && config.watch.length > 0) {
-      gulp.task(watchId, () => {
-        return gulp.watch(config.watch, gulp.series(buildId))
-      })
+      gulp.task(watchId, () => watchTask(task))
+    }
+
+    // Register matching clean task
+    if (options.clean) {
+      gulp.task(cleanId, cleanTask(task))
     }
+
+    return task
   })
 }
 
 /**
  * Check that a declared task uses a valid callback function
  * @param {string|Function} callback
+ * @param {string} [baseDir] - folder for resolving local paths, defaults to cwd
  * @return {Function}
  * @throws {Error}
  */
-function getTaskCallback(callback) {
+function getTaskCallback(callback, baseDir) {
   let result = null
   // Get the callback function; throw errors, because we can't log them
   // later until we have identified a task name
@@ -163,7 +258,7 @@ function getTaskCallback(callback) {
       (id.includes('/') && !id.startsWith('@'))
     ) {
       if (path.isAbsolute(id) === false) {
-        id = path.join(process.cwd(), id)
+        id = path.join(baseDir || process.cwd(), id)
       }
     }
     try {
@@ -190,24 +285,126 @@ function getTaskCallback(callback) {
   return result
 }
 
+/**
+ * Get the overrides for the active environment from a config's 'env' map
+ * @param {object} [source] - config object or baseConfig
+ * @param {string[]} errors - where to store errors
+ * @return {object}
+ */
+function getEnvOverrides(source, errors) {
+  if (!isObject(source) || source.env == null) return {}
+  if (!isObject(source.env)) {
+    errors.push(`- 'env' must be an object`)
+    return {}
+  }
+  const overrides = source.env[options.env]
+  if (overrides != null && !isObject(overrides)) {
+    errors.push(`- 'env.${options.env}' must be an object`)
+    return {}
+  }
+  return overrides || {}
+}
+
+/**
+ * Get the layers inherited by a config with the 'extends' and 'preset'
+ * keys, which can name presets exported by the callback (in its 'presets'
+ * object), or for 'extends', be other config objects. Inherited configs
+ * can also use 'extends', 'preset' and 'env'.
+ * @param {object} source - config object or preset
+ * @param {Function} callback - task callback
+ * @param {string[]} errors - where to store errors
+ * @param {object[]} [seen] - configs being resolved, to detect cycles
+ * @return {Array} list of [origin, values] layers, applied in order
+ */
+function getInheritedLayers(source, callback, errors, seen) {
+  const parents = seen || [source]
+  const refs = []
+  if (source.extends != null) refs.push(...[].concat(source.extends))
+  if (source.preset != null) refs.push(...toUniqueStrings(source.preset))
+  const presets = isObject(callback.presets) ? callback.presets : {}
+  const layers = []
+
+  for (const ref of refs) {
+    let origin = 'extends'
+    let values = ref
+    if (typeof ref === 'string') {
+      origin = `preset '${ref}'`
+      values = presets[ref]
+      if (!isObject(values)) {
+        const names = Object.keys(presets)
+        errors.push(
+          `- unknown preset '${ref}' (available: ${
+            names.length ? names.map(n => `'${n}'`).join(', ') : 'none'
+          })`
+        )
+        continue
+      }
+    } else if (!isObject(ref) || Array.isArray(ref)) {
+      errors.push(`- 'extends' must contain preset names or config objects`)
+      continue
+    }
+    if (parents.includes(values)) {
+      errors.push(`- circular inheritance with ${origin}`)
+      continue
+    }
+    layers.push(
+      ...getInheritedLayers(values, callback, errors, parents.concat(values)),
+      [origin, values],
+      [`${origin}.env.${options.env}`, getEnvOverrides(values, errors)]
+    )
+  }
+  return layers
+}
+
 /**
  * Normalize config object:
- * - Merge with baseConfig
+ * - Merge with baseConfig, inherited configs or presets ('extends' and
+ *   'preset' keys), and overrides for the active environment
  * - Check the 'dest', 'src' and 'watch' properties of config objects.
  *   (They can be missing, but if present they should be valid.)
+ * - Validate against the callback's schema, if it has one
  * @param {object} config
  * @param {object} data
  * @return {object|undefined}
  */
 function normalizeConfig(config, data) {
-  const newConfig = Object.assign({}, data.callback.baseConfig, config)
-  const { dest, src, watch } = newConfig
+  const { baseConfig } = data.callback
   const errors = []
+  const layers = [
+    ['baseConfig', baseConfig],
+    [`baseConfig.env.${options.env}`, getEnvOverrides(baseConfig, errors)],
+    ...getInheritedLayers(config, data.callback, errors),
+    ['config', config],
+    [`config.env.${options.env}`, getEnvOverrides(config, errors)]
+  ]
+  // nested objects are merged, unless marked with gtm.replace()
+  const newConfig = {}
+  const origins = {}
+  for (const [origin, values] of layers) {
+    if (!isObject(values)) continue
+    for (const key of Object.keys(values)) {
+      if (['env', 'extends', 'preset'].includes(key)) continue
+      newConfig[key] = mergeValues(newConfig[key], values[key])
+      trackOrigins(origins, key, values[key], origin)
+    }
+  }
+  const { dependsOn, dest, src, watch } = newConfig
 
   if (dest != null && typeof dest !== 'string' && typeof dest !== 'function') {
     errors.push(`- 'dest' must be a string or a function`)
   }
 
+  // sources without a destination are usually a mistake, unless the
+  // callback declares how it uses 'dest' in its schema
+  const { schema } = data.callback
+  if (dest == null && src != null && !(isObject(schema) && 'dest' in schema)) {
+    const warning = new Error(
+      `Missing 'dest' for '${data.name}'\n- 'src' is set but 'dest' is missing`
+    )
+    warning.warn = true
+    handleError(warning, options.strict ? null : data.errors)
+  }
+
   if (src != null) {
     newConfig.src = toUniqueStrings(newConfig.src)
     if (newConfig.src.length === 0) {
@@ -226,6 +423,52 @@ function normalizeConfig(config, data) {
     }
   }
 
+  const schemaResult = validateConfig(data.callback.schema, newConfig)
+  errors.push(...schemaResult.errors)
+
+  if (schemaResult.warnings.length > 0) {
+    const warning = new Error(
+      [
+        `Unknown config properties for '${data.name}'`,
+        schemaResult.warnings.join('\n')
+      ].join('\n')
+    )
+    warning.warn = true
+    handleError(warning, options.strict ? null : data.errors)
+  }
+
+  if (dependsOn != null) {
+    newConfig.dependsOn = toUniqueStrings(dependsOn)
+    if (newConfig.dependsOn.length === 0) {
+      errors.push(`- 'dependsOn' must be a string or an array of strings`)
+    }
+  }
+
+  if (newConfig.srcOptions != null && !isObject(newConfig.srcOptions)) {
+    errors.push(`- 'srcOptions' must be an object`)
+  }
+
+  const { timeout } = newConfig
+  if (timeout != null && timeout !== false && !(timeout >= 0)) {
+    errors.push(`- 'timeout' must be a number of milliseconds, or false`)
+  }
+
+  if (newConfig.incremental != null) {
+    errors.push(...validateIncremental(newConfig.incremental))
+  }
+
+  if (newConfig.compress != null) {
+    errors.push(...validateCompress(newConfig.compress))
+  }
+
+  if (newConfig.budget != null) {
+    errors.push(...validateBudget(newConfig.budget))
+  }
+
+  if (newConfig.watchOptions != null) {
+    errors.push(...validateWatchOptions(newConfig.watchOptions))
+  }
+
   if (errors.length > 0) {
     const msg = [
       `Invalid config for '${data.name}'`,
@@ -236,5 +479,24 @@ function normalizeConfig(config, data) {
     return
   }
 
+  configOrigins.set(newConfig, origins)
   return newConfig
 }
+
+/**
+ * Get where each property of a normalized config came from, by property
+ * path for merged objects, e.g. { src: 'config',
+ * 'uglifyjs.compress': 'baseConfig', 'uglifyjs.ie8': "preset 'legacy'" }
+ * @param {object} config - normalized config
+ * @return {object}
+ */
+function getConfigOrigins(config) {
+  return configOrigins.get(config) || {}
+}
+
+module.exports = {
+  addTasks,
+  getConfigOrigins,
+  getTaskCallback,
+  normalizeConfig
+}
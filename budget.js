@@ -0,0 +1,114 @@
+/**
+ * @file Size budgets for output files
+ */
+
+const minimatch = require('minimatch')
+const { Transform } = require('stream')
+const zlib = require('zlib')
+
+const { formatSize, isObject, parseSize } = require('./helpers')
+const { options } = require('./state')
+
+/**
+ * Get the size limits for a budget entry
+ * @param {number|string|object} value - e.g. '120kB' or { gzip: '20kB' }
+ * @return {{size: number|null, gzip: number|null}|null} null if invalid
+ */
+function getLimits(value) {
+  if (isObject(value)) {
+    const limits = { size: null, gzip: null }
+    for (const key of Object.keys(value)) {
+      if (!(key in limits)) return null
+      limits[key] = parseSize(value[key])
+      if (limits[key] === null) return null
+    }
+    return limits
+  }
+  const size = parseSize(value)
+  return size === null ? null : { size, gzip: null }
+}
+
+/**
+ * Check the 'budget' config property
+ * @param {any} budget
+ * @return {string[]} errors
+ */
+function validateBudget(budget) {
+  if (!isObject(budget) || Array.isArray(budget)) {
+    return [`- 'budget' must be an object`]
+  }
+  return Object.keys(budget)
+    .filter(pattern => getLimits(budget[pattern]) === null)
+    .map(
+      pattern =>
+        `- 'budget.${pattern}' must be a size (e.g. '120kB') or an object with 'size' and/or 'gzip' sizes`
+    )
+}
+
+/**
+ * Make a stream checking output files against size budgets.
+ * Overruns are shown as warnings, or fail the task in strict mode.
+ * @param {object} budget - file patterns and their limits
+ * @param {Function} showWarning - called with warnings
+ * @return {Transform}
+ */
+function checkBudget(budget, showWarning) {
+  const entries = Object.keys(budget).map(pattern => ({
+    pattern,
+    limits: getLimits(budget[pattern])
+  }))
+
+  return new Transform({
+    objectMode: true,
+    transform(file, enc, callback) {
+      if (!file.isBuffer()) return callback(null, file)
+      const overruns = []
+      let gzip = null
+      for (const { pattern, limits } of entries) {
+        if (
+          !limits ||
+          !minimatch(file.relative, pattern, { matchBase: true })
+        ) {
+          continue
+        }
+        const size = file.contents.length
+        if (limits.size !== null && size > limits.size) {
+          overruns.push(
+            `${formatSize(size)}, allowed ${formatSize(
+              limits.size
+            )} ('${pattern}')`
+          )
+        }
+        if (limits.gzip !== null) {
+          if (gzip === null) gzip = zlib.gzipSync(file.contents).length
+          if (gzip > limits.gzip) {
+            overruns.push(
+              `${formatSize(gzip)} gzipped, allowed ${formatSize(
+                limits.gzip
+              )} ('${pattern}')`
+            )
+          }
+        }
+      }
+      if (overruns.length === 0) return callback(null, file)
+
+      const err = new Error(
+        `Size budget exceeded for '${file.relative}'\n${overruns
+          .map(s => `- ${s}`)
+          .join('\n')}`
+      )
+      err.plugin = 'gulp-task-maker'
+      if (options.strict) {
+        return callback(err)
+      }
+      err.warn = true
+      showWarning(err)
+      callback(null, file)
+    }
+  })
+}
+
+module.exports = {
+  checkBudget,
+  validateBudget
+}
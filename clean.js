@@ -0,0 +1,171 @@
+/**
+ * @file Track files written by build tasks, and delete them in clean tasks
+ */
+
+const fs = require('fs')
+const path = require('path')
+
+const { findTask } = require('./dependencies')
+const { customLog, isObject, mkdirp } = require('./helpers')
+const { events, options } = require('./state')
+const { showError } = require('./tools')
+
+/**
+ * Files written by each build task, relative to the project root,
+ * e.g. { build_mincss: ['dist/styles.css', 'dist/styles.css.map'] }
+ * Loaded from the outputs manifest when first needed.
+ * @type {object|null}
+ */
+let outputs = null
+
+/**
+ * Whether outputs changed since they were last saved
+ * @type {boolean}
+ */
+let changed = false
+
+/**
+ * Timer for saving outputs after a build
+ * @type {any}
+ */
+let saveTimer = null
+
+/**
+ * Path of the manifest of written files
+ * @return {string}
+ */
+function getOutputsPath() {
+  return path.join(path.resolve(options.cacheDir), 'outputs.json')
+}
+
+/**
+ * Get written files for all tasks, reading the manifest if needed
+ * @return {object}
+ */
+function getOutputs() {
+  if (outputs) return outputs
+  outputs = {}
+  try {
+    const content = JSON.parse(fs.readFileSync(getOutputsPath(), 'utf8'))
+    if (isObject(content)) outputs = content
+  } catch (err) {
+    // no outputs recorded yet
+  }
+  return outputs
+}
+
+/**
+ * Write the manifest of written files, if it changed
+ */
+function saveOutputs() {
+  if (saveTimer) clearTimeout(saveTimer)
+  saveTimer = null
+  if (!changed || !outputs) return
+  const filePath = getOutputsPath()
+  try {
+    mkdirp(path.dirname(filePath))
+    fs.writeFileSync(filePath, JSON.stringify(outputs, null, 2) + '\n')
+    changed = false
+  } catch (err) {
+    customLog(`gulp-task-maker: could not write '${filePath}'\n${err}`)
+  }
+}
+
+/**
+ * Check that a file is inside the project root (and is not the root itself)
+ * @param {string} filePath - absolute path
+ * @param {string} root - absolute path
+ * @return {boolean}
+ */
+function isInsideRoot(filePath, root) {
+  const relative = path.relative(root, filePath)
+  return (
+    relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative)
+  )
+}
+
+/**
+ * Make a gulp task function deleting the files previously written
+ * by a build task. In dry-run mode, files are listed but not deleted.
+ * @param {object} task
+ * @return {Function}
+ */
+function cleanTask(task) {
+  const clean = done => {
+    const root = process.cwd()
+    const all = getOutputs()
+    const files = Array.isArray(all[task.buildId]) ? all[task.buildId] : []
+    const kept = []
+    const deleted = []
+
+    for (const file of files) {
+      const filePath = path.resolve(root, file)
+      if (!isInsideRoot(filePath, root)) {
+        kept.push(file)
+        showError({
+          plugin: 'gulp-task-maker',
+          task: task.cleanId,
+          message: `refusing to delete '${filePath}', outside of the project root '${root}'`
+        })
+        continue
+      }
+      if (options.dryRun) {
+        if (fs.existsSync(filePath)) deleted.push(file)
+        kept.push(file)
+        continue
+      }
+      try {
+        fs.unlinkSync(filePath)
+        deleted.push(file)
+      } catch (err) {
+        if (err.code !== 'ENOENT') {
+          kept.push(file)
+          showError({
+            plugin: 'gulp-task-maker',
+            task: task.cleanId,
+            message: `could not delete '${file}': ${err.message}`
+          })
+        }
+      }
+    }
+
+    const verb = options.dryRun ? 'would delete' : 'deleted'
+    customLog(
+      `${task.cleanId}: ${verb} ${deleted.length} file${
+        deleted.length === 1 ? '' : 's'
+      }${deleted.map(file => `\n- ${file}`).join('')}`
+    )
+    if (!options.dryRun && kept.length !== files.length) {
+      if (kept.length > 0) all[task.buildId] = kept
+      else delete all[task.buildId]
+      changed = true
+      saveOutputs()
+    }
+    done()
+  }
+  clean.displayName = task.cleanId
+  return clean
+}
+
+// record files written by build tasks
+events.on('file', (file, config, taskName) => {
+  if (!options.clean) return
+  const task = findTask(taskName)
+  if (!task) return
+  const all = getOutputs()
+  const list = all[task.buildId] || (all[task.buildId] = [])
+  const relative = path.relative(process.cwd(), file.path).replace(/\\/g, '/')
+  if (list.includes(relative)) return
+  list.push(relative)
+  changed = true
+  // save shortly after the build, without keeping the process alive
+  if (saveTimer) clearTimeout(saveTimer)
+  saveTimer = setTimeout(saveOutputs, 100)
+  if (saveTimer.unref) saveTimer.unref()
+})
+
+module.exports = {
+  cleanTask,
+  getOutputs,
+  saveOutputs
+}
@@ -0,0 +1,261 @@
+#!/usr/bin/env node
+
+/**
+ * @file Command line interface for listing, inspecting and running tasks
+ */
+
+const fs = require('fs')
+const path = require('path')
+const util = require('util')
+
+const gtm = require('./index')
+const { getConfigOrigins } = require('./add')
+const { findTask, getAllTasks } = require('./dependencies')
+const { onExit, showLoadingErrors } = require('./feedback')
+const { formatSize, isObject } = require('./helpers')
+const { events, options } = require('./state')
+
+const HELP = `
+Usage: gtm <command> [options]
+
+Commands:
+  list                 List build tasks with their src, dest and watch
+  inspect <task>       Show the final config of a task and where each
+                       property comes from
+  check                Check configs and sources, exit with an error
+                       code if there are problems
+  run <task|group>     Run a task or task group
+
+Options:
+  --gulpfile <path>    Load tasks from this gulpfile (default: gulpfile.js)
+  --config <path>      Load tasks from a gtm config file instead
+  --force              Ignore the cache of incremental builds
+  --dry-run            List files in clean tasks without deleting them
+  --help               Show this message
+`
+
+/**
+ * Write a line to stdout
+ * @param {string} text
+ */
+function print(text) {
+  process.stdout.write(`${text}\n`)
+}
+
+/**
+ * Write a line to stderr
+ * @param {string} text
+ */
+function printError(text) {
+  process.stderr.write(`${text}\n`)
+}
+
+/**
+ * Parse command line arguments
+ * @param {string[]} argv
+ * @return {{command: string, name: string, flags: object}}
+ */
+function parseArgs(argv) {
+  const positional = []
+  const flags = {}
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    if (arg === '--gulpfile' || arg === '--config') {
+      flags[arg.slice(2)] = argv[++i]
+    } else if (arg.startsWith('--')) {
+      flags[arg.slice(2)] = true
+    } else {
+      positional.push(arg)
+    }
+  }
+  return { command: positional[0], name: positional[1], flags }
+}
+
+/**
+ * Load tasks from a gulpfile or gtm config file
+ * @param {object} flags
+ */
+function loadTasks(flags) {
+  if (typeof flags.config === 'string') {
+    gtm.load(flags.config)
+    return
+  }
+  const gulpfile = path.resolve(flags.gulpfile || 'gulpfile.js')
+  if (fs.existsSync(gulpfile)) {
+    // like the gulp command, run from the gulpfile's folder
+    process.chdir(path.dirname(gulpfile))
+    require(gulpfile)
+  } else {
+    gtm.load()
+  }
+}
+
+/**
+ * Format rows of strings as a table with aligned columns
+ * @param {Array<string[]>} rows
+ * @return {string}
+ */
+function formatTable(rows) {
+  const widths = rows[0].map((_, col) =>
+    rows.reduce((max, row) => Math.max(max, row[col].length), 0)
+  )
+  return rows
+    .map(row =>
+      row
+        .map((cell, col) => cell + ' '.repeat(widths[col] - cell.length))
+        .join('  ')
+        .trim()
+    )
+    .join('\n')
+}
+
+/**
+ * Format a config value for display
+ * @param {any} value
+ * @return {string}
+ */
+function formatValue(value) {
+  if (value == null) return '-'
+  if (Array.isArray(value)) return value.map(formatValue).join(', ')
+  if (typeof value === 'function') return `[function ${value.name || ''}]`
+  if (typeof value === 'string') return value
+  return util.inspect(value, { depth: 4, breakLength: Infinity })
+}
+
+/**
+ * List build tasks
+ * @return {number} exit code
+ */
+function listTasks() {
+  // only show the table, not the loading errors report
+  onExit.done = true
+  const tasks = getAllTasks()
+  if (tasks.length === 0) {
+    print('No tasks found')
+    return 1
+  }
+  const rows = [['Task', 'Src', 'Dest', 'Watch']].concat(
+    tasks.map(task => [
+      task.buildId,
+      formatValue(task.config.src),
+      formatValue(task.config.dest),
+      formatValue(task.config.watch)
+    ])
+  )
+  print(formatTable(rows))
+  return 0
+}
+
+/**
+ * Show the normalized config of a task, and where each property comes from
+ * @param {string} name
+ * @return {number} exit code
+ */
+function inspectTask(name) {
+  onExit.done = true
+  const task = findTask(name)
+  if (!task) {
+    printError(`Unknown task '${name}'`)
+    return 1
+  }
+  // merged objects have a row for each nested property
+  const origins = getConfigOrigins(task.config)
+  const rows = [['Property', 'Value', 'From']]
+  const addRows = (obj, prefix) => {
+    for (const key of Object.keys(obj)) {
+      const prop = prefix + key
+      const value = obj[key]
+      const nested = Object.keys(origins).some(p => p.startsWith(`${prop}.`))
+      if (!(prop in origins) && nested && isObject(value)) {
+        addRows(value, `${prop}.`)
+      } else {
+        rows.push([prop, formatValue(value), origins[prop] || '-'])
+      }
+    }
+  }
+  addRows(task.config, '')
+  print(`${task.buildId} (script: ${task.data.name}, env: ${options.env})`)
+  print(formatTable(rows))
+  return 0
+}
+
+/**
+ * Check configs and sources
+ * @return {number} exit code
+ */
+function checkTasks() {
+  options.strict = false
+  onExit.done = true
+  const failed = showLoadingErrors()
+  if (failed.length === 0) {
+    print('✔ No issues detected')
+    return 0
+  }
+  return 1
+}
+
+/**
+ * Run a task or task group
+ * @param {string} name
+ * @return {Promise<number>} exit code
+ */
+function runTasks(name) {
+  // errors which were not logged, e.g. from tasks which never finished
+  const shown = []
+  const onProblem = err => shown.push(err)
+  events.on('problem', onProblem)
+  return gtm.run(name).then(
+    result => {
+      events.removeListener('problem', onProblem)
+      for (const file of result.files) {
+        const size = file.size === null ? '' : formatSize(file.size)
+        print(`${path.relative('.', file.path)}  ${size}`)
+      }
+      for (const err of result.errors) {
+        if (!shown.includes(err)) printError(err.message || String(err))
+      }
+      const status = result.errors.length > 0 ? '✘ Failed' : '✔ Finished'
+      print(`${status} '${name}' after ${result.duration} ms`)
+      return result.errors.length > 0 ? 1 : 0
+    },
+    err => {
+      events.removeListener('problem', onProblem)
+      printError(err.message)
+      return 1
+    }
+  )
+}
+
+/**
+ * Main entry point
+ * @param {string[]} argv
+ * @return {Promise<number>} exit code
+ */
+function main(argv) {
+  const { command, name, flags } = parseArgs(argv)
+  const commands = ['list', 'inspect', 'check', 'run']
+  if (flags.help || !commands.includes(command)) {
+    print(HELP.trim())
+    return Promise.resolve(flags.help ? 0 : 1)
+  }
+  if ((command === 'inspect' || command === 'run') && !name) {
+    printError(`Missing task name for '${command}'\n${HELP}`)
+    return Promise.resolve(1)
+  }
+
+  try {
+    loadTasks(flags)
+  } catch (err) {
+    printError(err.stack || err.message)
+    return Promise.resolve(1)
+  }
+
+  if (command === 'list') return Promise.resolve(listTasks())
+  if (command === 'inspect') return Promise.resolve(inspectTask(name))
+  if (command === 'check') return Promise.resolve(checkTasks())
+  return runTasks(name)
+}
+
+main(process.argv.slice(2)).then(code => {
+  process.exitCode = code
+})
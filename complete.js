@@ -0,0 +1,184 @@
+/**
+ * @file Completion of build tasks: waits for what task callbacks return
+ * (streams, promises, child processes, observables, or arrays of these),
+ * and stops tasks which never finish
+ */
+
+const asyncDone = require('async-done')
+const { PassThrough } = require('stream')
+
+const { isStream } = require('./helpers')
+const { options } = require('./state')
+
+/**
+ * Check if a value signals its own completion: a stream, child process,
+ * observable or promise, or an array containing one of these
+ * @param {any} value
+ * @return {boolean}
+ */
+function isAsyncResult(value) {
+  if (Array.isArray(value)) return value.some(isAsyncResult)
+  if (value === null || typeof value !== 'object') return false
+  return ['on', 'subscribe', 'then'].some(
+    method => typeof value[method] === 'function'
+  )
+}
+
+/**
+ * Merge streams into one object stream, which ends when all streams have
+ * ended, and emits the errors of each stream
+ * @param {Array} streams
+ * @return {PassThrough}
+ */
+function mergeStreams(streams) {
+  const merged = new PassThrough({ objectMode: true })
+  let pending = streams.length
+  const onEnd = () => {
+    pending -= 1
+    if (pending === 0) merged.end()
+  }
+  if (pending === 0) merged.end()
+  for (const stream of streams) {
+    stream.once('end', onEnd)
+    stream.on('error', err => merged.emit('error', err))
+    stream.pipe(merged, { end: false })
+  }
+  return merged
+}
+
+/**
+ * Wait for all items of an array; streams are merged, and other items
+ * are waited for in parallel
+ * @param {Array} items
+ * @param {Function} callback - called with the first error, if any
+ */
+function waitForAll(items, callback) {
+  const streams = items.filter(isStream)
+  const others = items.filter(item => !isStream(item) && isAsyncResult(item))
+  const waiting = streams.length > 0 ? [mergeStreams(streams)] : []
+  waiting.push(...others)
+  let pending = waiting.length
+  let failed = false
+  if (pending === 0) return callback(null)
+  for (const item of waiting) {
+    waitFor(item, err => {
+      if (failed) return
+      if (err) {
+        failed = true
+        return callback(err)
+      }
+      pending -= 1
+      if (pending === 0) callback(null)
+    })
+  }
+}
+
+/**
+ * Wait for a stream, child process, observable, promise or array to be
+ * finished. Promises resolving to a stream or array (e.g. from async
+ * functions doing some work before streaming) are waited for too.
+ * @param {any} value
+ * @param {Function} callback - called with an error, if any
+ */
+function waitFor(value, callback) {
+  if (Array.isArray(value)) return waitForAll(value, callback)
+  asyncDone(
+    () => value,
+    (err, result) => {
+      if (err) return callback(err)
+      if (typeof value.then === 'function' && isAsyncResult(result)) {
+        return waitFor(result, callback)
+      }
+      callback(null)
+    }
+  )
+}
+
+/**
+ * Get the timeout of a build task, in milliseconds (0 for no timeout)
+ * @param {object} config
+ * @return {number}
+ */
+function getTimeout(config) {
+  const value =
+    config && config.timeout != null ? config.timeout : options.timeout
+  return typeof value === 'number' && value > 0 ? value : 0
+}
+
+/**
+ * Make the error for a build task which didn't finish in time,
+ * naming the task and its config
+ * @param {object} task
+ * @param {number} timeout
+ * @param {any} result - value returned by the task callback
+ * @return {Error}
+ */
+function timeoutError(task, timeout, result) {
+  const { buildId, config } = task
+  const describe = value =>
+    typeof value === 'function' ? `${value.name || 'function'}()` : value
+  const props = ['name', 'src', 'dest']
+    .filter(key => config && config[key] != null)
+    .map(key => `${key}: ${JSON.stringify(describe(config[key]))}`)
+  const lines = [`Task '${buildId}' did not finish after ${timeout / 1000}s`]
+  if (props.length > 0) lines.push(`- config: { ${props.join(', ')} }`)
+  lines.push(
+    isAsyncResult(result)
+      ? '- what the task callback returned never finished'
+      : '- the task callback must return a stream, promise, child process or observable, or call tools.done()'
+  )
+  lines.push(
+    `- set a longer timeout with the 'timeout' option or config property`
+  )
+  const error = new Error(lines.join('\n'))
+  error.task = buildId
+  return error
+}
+
+/**
+ * Wrap a build task function, to complete the task when the value returned
+ * by the task callback is finished, or when tools.done is called;
+ * and to stop it with an error after the timeout
+ * @param {Function} build - function calling the task callback
+ * @param {object} task
+ * @property {string} task.buildId
+ * @property {object} task.config
+ * @return {Function} gulp task function
+ */
+function completeTask(build, task) {
+  return done => {
+    let finished = false
+    let timer = null
+    const finish = err => {
+      if (finished) return
+      finished = true
+      if (timer) clearTimeout(timer)
+      done(err || null)
+    }
+
+    let result = null
+    try {
+      result = build(finish)
+    } catch (err) {
+      return finish(err)
+    }
+
+    const timeout = getTimeout(task.config)
+    if (timeout > 0 && !finished) {
+      timer = setTimeout(
+        () => finish(timeoutError(task, timeout, result)),
+        timeout
+      )
+    }
+    if (isAsyncResult(result)) {
+      waitFor(result, finish)
+    }
+  }
+}
+
+module.exports = {
+  completeTask,
+  isAsyncResult,
+  mergeStreams,
+  waitFor
+}
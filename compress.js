@@ -0,0 +1,208 @@
+/**
+ * @file Precompressed copies of output files (gzip and brotli),
+ * for static servers which serve '.gz' and '.br' files
+ */
+
+const { Transform } = require('stream')
+const zlib = require('zlib')
+
+const { isObject, parseSize } = require('./helpers')
+
+/**
+ * Supported compression formats, with their file extension,
+ * label in size logs, and maximum level (used by default)
+ * @type {object}
+ */
+const FORMATS = {
+  gzip: {
+    ext: '.gz',
+    label: 'gzip',
+    maxLevel: 9,
+    compress: (buffer, level, callback) =>
+      zlib.gzip(buffer, { level }, callback)
+  },
+  brotli: {
+    ext: '.br',
+    label: 'br',
+    maxLevel: 11,
+    compress: (buffer, level, callback) =>
+      zlib.brotliCompress(
+        buffer,
+        { params: { [zlib.constants.BROTLI_PARAM_QUALITY]: level } },
+        callback
+      )
+  }
+}
+
+/**
+ * Default minimum size of compressed files, in bytes
+ * @type {number}
+ */
+const DEFAULT_THRESHOLD = 1000
+
+/**
+ * Sizes of compressed copies, for each original file
+ * @type {WeakMap<object, object>}
+ */
+const compressedSizes = new WeakMap()
+
+/**
+ * Compressed copies made by compressFiles
+ * @type {WeakSet<object>}
+ */
+const compressedCopies = new WeakSet()
+
+/**
+ * Get compression settings from the 'compress' config property, which can be:
+ * - a format name ('gzip' or 'brotli'), or an array of names;
+ * - true for both formats;
+ * - an object, e.g. { gzip: 6, brotli: true, threshold: '2kB' },
+ *   with true or a compression level for each format.
+ * @param {any} value
+ * @return {{formats: Array<{name: string, level: number}>, threshold: number}|null}
+ *   null if compression is disabled
+ * @throws {Error} if the value is invalid
+ */
+function getCompressSettings(value) {
+  if (value == null || value === false) return null
+  let levels = {}
+  let threshold = DEFAULT_THRESHOLD
+  if (value === true) {
+    levels = { gzip: true, brotli: true }
+  } else if (typeof value === 'string' || Array.isArray(value)) {
+    for (const name of [].concat(value)) levels[name] = true
+  } else if (isObject(value)) {
+    levels = Object.assign({}, value)
+    delete levels.threshold
+    if (value.threshold != null) {
+      threshold = parseSize(value.threshold)
+      if (threshold === null) {
+        throw new Error(`'compress.threshold' must be a size (e.g. '1kB')`)
+      }
+    }
+  } else {
+    throw new Error(
+      `'compress' must be a format name, an array of names, or an object`
+    )
+  }
+
+  const formats = []
+  for (const name of Object.keys(levels)) {
+    const format = FORMATS[name]
+    const level = levels[name]
+    if (!format) {
+      throw new Error(
+        `unknown compression format '${name}' (supported: ${Object.keys(
+          FORMATS
+        ).join(', ')})`
+      )
+    }
+    if (name === 'brotli' && typeof zlib.brotliCompress !== 'function') {
+      throw new Error(`brotli compression needs Node.js 11.7 or later`)
+    }
+    if (level === false || level == null) continue
+    if (
+      level !== true &&
+      !(Number.isInteger(level) && level >= 1 && level <= format.maxLevel)
+    ) {
+      throw new Error(
+        `'compress.${name}' must be true or a level from 1 to ${format.maxLevel}`
+      )
+    }
+    formats.push({ name, level: level === true ? format.maxLevel : level })
+  }
+  return formats.length > 0 ? { formats, threshold } : null
+}
+
+/**
+ * Check the 'compress' config property
+ * @param {any} value
+ * @return {string[]} errors
+ */
+function validateCompress(value) {
+  try {
+    getCompressSettings(value)
+    return []
+  } catch (err) {
+    return [`- ${err.message}`]
+  }
+}
+
+/**
+ * Make a stream adding compressed copies of files (e.g. 'main.css.gz'
+ * after 'main.css'), for files at least as big as the threshold
+ * @param {object} settings - from getCompressSettings
+ * @return {Transform}
+ */
+function compressFiles(settings) {
+  const { formats, threshold } = settings
+  return new Transform({
+    objectMode: true,
+    transform(file, enc, callback) {
+      if (
+        !file.isBuffer() ||
+        compressedCopies.has(file) ||
+        file.contents.length < threshold
+      ) {
+        return callback(null, file)
+      }
+      const copies = []
+      let pending = formats.length
+      let failed = false
+      formats.forEach(({ name, level }, index) => {
+        const format = FORMATS[name]
+        format.compress(file.contents, level, (err, buffer) => {
+          if (failed) return
+          if (err) {
+            failed = true
+            err.plugin = 'gulp-task-maker'
+            err.message = `could not compress '${file.relative}' (${name}): ${err.message}`
+            return callback(err)
+          }
+          const copy = file.clone({ contents: false })
+          copy.path = file.path + format.ext
+          copy.contents = buffer
+          compressedCopies.add(copy)
+          copies[index] = copy
+          pending -= 1
+          if (pending === 0) {
+            const sizes = {}
+            formats.forEach(({ name }, i) => {
+              sizes[FORMATS[name].label] = copies[i].contents.length
+            })
+            compressedSizes.set(file, sizes)
+            this.push(file)
+            copies.forEach(copy => this.push(copy))
+            callback()
+          }
+        })
+      })
+    }
+  })
+}
+
+/**
+ * Check if a file is a compressed copy made by compressFiles
+ * @param {object} file
+ * @return {boolean}
+ */
+function isCompressedCopy(file) {
+  return compressedCopies.has(file)
+}
+
+/**
+ * Get the sizes of the compressed copies of a file, by format label
+ * @param {object} file
+ * @return {object|null} e.g. { gzip: 1520, br: 1305 }
+ */
+function getCompressedSizes(file) {
+  return compressedSizes.get(file) || null
+}
+
+module.exports = {
+  compressFiles,
+  getCompressSettings,
+  getCompressedSizes,
+  isCompressedCopy,
+  validateCompress
+}
@@ -0,0 +1,52 @@
+/**
+ * @file Helper for authoring task callbacks
+ */
+
+const { isObject } = require('./helpers')
+
+/**
+ * Properties which can be attached to a task callback
+ * @type {string[]}
+ */
+const CALLBACK_PROPS = ['baseConfig', 'schema', 'presets', 'hooks']
+
+/**
+ * Make a task callback from a function, with a name (used for gulp task
+ * names) and its baseConfig, schema, presets and hooks.
+ * The function itself is not modified.
+ * @param {Function} fn - task function, receiving (config, tools)
+ * @param {object} [settings]
+ * @property {string} [settings.name] - defaults to the function's name
+ * @property {object} [settings.baseConfig]
+ * @property {object} [settings.schema]
+ * @property {object} [settings.presets]
+ * @property {object} [settings.hooks]
+ * @return {Function}
+ * @throws {Error} if the function is missing or has no name
+ */
+function defineTask(fn, settings) {
+  if (typeof fn !== 'function') {
+    throw new Error(`defineTask expects a function, received ${typeof fn}`)
+  }
+  const opts = isObject(settings) ? settings : {}
+  const name =
+    typeof opts.name === 'string' && opts.name.trim() !== ''
+      ? opts.name.trim()
+      : fn.displayName || fn.name
+  if (!name) {
+    throw new Error(
+      `defineTask needs a named function or a 'name' setting, for task names`
+    )
+  }
+  const callback = (config, tools) => fn(config, tools)
+  callback.displayName = name
+  for (const key of CALLBACK_PROPS) {
+    const value = opts[key] !== undefined ? opts[key] : fn[key]
+    if (value !== undefined) callback[key] = value
+  }
+  return callback
+}
+
+module.exports = {
+  defineTask
+}
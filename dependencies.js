@@ -0,0 +1,101 @@
+/**
+ * @file Dependency graph for build tasks using the 'dependsOn' config key
+ */
+
+const { scripts } = require('./state')
+
+/**
+ * Get a list of all known build tasks
+ * @return {object[]}
+ */
+function getAllTasks() {
+  return scripts.reduce((arr, data) => arr.concat(data.tasks || []), [])
+}
+
+/**
+ * Find a build task from its id ('minjs_vendor') or full gulp task
+ * name ('build_minjs_vendor')
+ * @param {string} ref
+ * @return {object|undefined}
+ */
+function findTask(ref) {
+  return getAllTasks().find(task => task.id === ref || task.buildId === ref)
+}
+
+/**
+ * Sort some build tasks and all their (direct and indirect) dependencies
+ * in layers: tasks in a layer can run in parallel, and each layer must run
+ * after the previous one.
+ * @param {object[]} tasks
+ * @return {Array<object[]>}
+ * @throws {Error} for unknown dependencies or circular dependencies
+ */
+function getBuildLayers(tasks) {
+  // collect tasks and their dependencies
+  const nodes = new Map()
+  const queue = [].concat(tasks)
+  while (queue.length > 0) {
+    const task = queue.shift()
+    if (nodes.has(task)) continue
+    const deps = task.dependsOn.map(ref => {
+      const dep = findTask(ref)
+      if (!dep) {
+        throw new Error(
+          `Task '${task.buildId}' depends on unknown task '${ref}'`
+        )
+      }
+      return dep
+    })
+    nodes.set(task, deps)
+    queue.push(...deps)
+  }
+
+  // sort in layers (Kahn's algorithm)
+  const layers = []
+  const done = new Set()
+  while (done.size < nodes.size) {
+    const layer = []
+    for (const [task, deps] of nodes) {
+      if (!done.has(task) && deps.every(dep => done.has(dep))) {
+        layer.push(task)
+      }
+    }
+    if (layer.length === 0) {
+      const names = Array.from(nodes.keys())
+        .filter(task => !done.has(task))
+        .map(task => `'${task.buildId}'`)
+        .sort()
+      throw new Error(`Circular dependency between ${names.join(', ')}`)
+    }
+    layer.forEach(task => done.add(task))
+    layers.push(layer)
+  }
+
+  return layers
+}
+
+/**
+ * Check that all declared dependencies exist and are not circular,
+ * and store errors with the failing task's script data
+ */
+function checkDependencies() {
+  for (const task of getAllTasks()) {
+    if (task.dependsOn.length === 0) continue
+    try {
+      getBuildLayers([task])
+    } catch (err) {
+      // tasks in the same cycle report the same error
+      const { errors } = task.data
+      if (!errors.some(e => e.message === err.message)) {
+        errors.push(err)
+      }
+    }
+  }
+}
+
+module.exports = {
+  checkDependencies,
+  findTask,
+  getAllTasks,
+  getBuildLayers
+}
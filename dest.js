@@ -0,0 +1,91 @@
+/**
+ * @file Destination folders for output files, and routing helpers
+ * for function-valued 'dest' config properties
+ */
+
+const path = require('path')
+
+const { isObject } = require('./helpers')
+
+/**
+ * Get the output folder of a file, like gulp.dest does
+ * @param {string|Function} dest - folder, or function returning a folder
+ * @param {object} file - vinyl file object
+ * @return {string}
+ * @throws {Error} if a dest function doesn't return a folder
+ */
+function resolveDest(dest, file) {
+  const folder = typeof dest === 'function' ? dest(file) : dest
+  if (typeof folder !== 'string' || folder.trim() === '') {
+    throw new Error(
+      `'dest' function returned ${JSON.stringify(folder)} for '${
+        file.relative
+      }', expected a folder path`
+    )
+  }
+  return folder
+}
+
+/**
+ * Make a dest function keeping the folder structure of sources:
+ * files are written to the same path relative to `dest`
+ * as their base folder is relative to `root`.
+ * For instance with mirrorBase('dist', 'src'), a file matched by
+ * 'src/pages/*.html' will be written in 'dist/pages'.
+ * @param {string} dest - output folder
+ * @param {string} [root] - sources root folder, defaults to the current folder
+ * @return {Function}
+ */
+function mirrorBase(dest, root) {
+  const rootPath = path.resolve(root || '.')
+  const mirror = file => {
+    const relative = path.relative(rootPath, file.base)
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+      throw new Error(
+        `Cannot mirror '${path.relative('.', file.path)}', outside of '${root ||
+          '.'}'`
+      )
+    }
+    return path.join(dest, relative)
+  }
+  return mirror
+}
+
+/**
+ * Make a dest function choosing a folder from each file's extension,
+ * e.g. byExtension({ '.css': 'dist/css', '.js': 'dist/js', '*': 'dist' })
+ * The longest matching extension wins; sourcemaps ('.map' files) go
+ * with their source file unless a '.map' route is defined.
+ * @param {object} routes - folders by extension, and '*' as a fallback
+ * @return {Function}
+ * @throws {Error} if routes is not an object
+ */
+function byExtension(routes) {
+  if (!isObject(routes)) {
+    throw new Error('byExtension expects an object of folders by extension')
+  }
+  const extensions = Object.keys(routes)
+    .filter(key => key !== '*')
+    .map(key => ({
+      ext: key.startsWith('.') ? key : `.${key}`,
+      folder: routes[key]
+    }))
+    .sort((a, b) => b.ext.length - a.ext.length)
+  const find = name => extensions.find(route => name.endsWith(route.ext))
+
+  const route = file => {
+    const name = file.basename
+    const match =
+      find(name) || (name.endsWith('.map') ? find(name.slice(0, -4)) : null)
+    if (match) return match.folder
+    if (typeof routes['*'] === 'string') return routes['*']
+    throw new Error(`No destination folder for '${file.relative}'`)
+  }
+  return route
+}
+
+module.exports = {
+  byExtension,
+  mirrorBase,
+  resolveDest
+}
@@ -0,0 +1,128 @@
+/**
+ * @file Structured info about errors, for notifications and reports
+ */
+
+const fs = require('fs')
+const path = require('path')
+
+const { findTask } = require('./dependencies')
+const { isObject } = require('./helpers')
+
+/**
+ * Return the first number in a list of values
+ * @param {Array} values
+ * @return {number|null}
+ */
+function firstNumber(values) {
+  const found = values.find(value => typeof value === 'number')
+  return found === undefined ? null : found
+}
+
+/**
+ * Get a structured object describing an error.
+ * Errors from common plugins use different properties for the source
+ * file, line and column, e.g.:
+ * - gulp-uglify: err.fileName, err.cause.line, err.cause.col (0-based)
+ * - gulp-babel: err.fileName, err.loc.line, err.loc.column (0-based)
+ * - gulp-sass: err.file, err.line, err.column, err.messageOriginal
+ * - postcss and csso: err.file or err.filename, err.line, err.column
+ * Columns are normalized to start at 1.
+ * @param {object|string} err
+ * @return {{plugin: string, task: string|null, config: string|null, message: string, file: string|null, line: number|null, column: number|null, warn: boolean}}
+ */
+function getErrorInfo(err) {
+  if (typeof err === 'string') {
+    err = { message: err }
+  }
+  const task = findTask(err.task)
+  const hasName = task && typeof task.config.name === 'string'
+  const cause = isObject(err.cause) ? err.cause : {}
+  const loc = isObject(err.loc) ? err.loc : {}
+
+  let column = firstNumber([err.column, err.columnNumber])
+  if (column === null) {
+    const zeroBased = firstNumber([loc.column, cause.col])
+    column = zeroBased === null ? null : zeroBased + 1
+  }
+  const file = [err.file, err.fileName, err.filename, cause.filename].find(
+    value => typeof value === 'string' && value !== ''
+  )
+  const message =
+    err.messageOriginal ||
+    cause.message ||
+    err.message ||
+    err.formatted ||
+    String(err)
+
+  return {
+    plugin: err.plugin || 'gulp-task-maker',
+    task: task ? task.buildId : err.task || null,
+    config: hasName ? task.config.name : null,
+    message: String(message),
+    file: file || null,
+    line: firstNumber([err.line, err.lineNumber, loc.line, cause.line]),
+    column: column,
+    warn: err.warn === true
+  }
+}
+
+/**
+ * Make a code frame showing the source lines around an error:
+ *   3 | .foo {
+ * > 4 |   color: red
+ *     |          ^
+ *   5 | }
+ * @param {object} info - from getErrorInfo
+ * @param {object} [settings]
+ * @property {boolean} [settings.color] - use ANSI colors
+ * @property {string} [settings.source] - source code, instead of reading info.file
+ * @property {number} [settings.context] - lines to show before and after
+ * @return {string} empty string if the source is not available
+ */
+function getCodeFrame(info, settings) {
+  const opts = Object.assign({ color: false, context: 2 }, settings)
+  if (typeof info.line !== 'number' || info.line < 1) return ''
+
+  let source = opts.source
+  if (typeof source !== 'string') {
+    if (!info.file) return ''
+    try {
+      source = fs.readFileSync(path.resolve(info.file), 'utf8')
+    } catch (err) {
+      return ''
+    }
+  }
+  const lines = source.split(/\r?\n/)
+  if (info.line > lines.length) return ''
+
+  const paint = (code, str) => (opts.color ? `\x1b[${code}m${str}\x1b[0m` : str)
+  const first = Math.max(1, info.line - opts.context)
+  const last = Math.min(lines.length, info.line + opts.context)
+  const width = String(last).length
+  const gutter = n => {
+    const num = n === null ? '' : String(n)
+    return ' '.repeat(width - num.length) + num + ' |'
+  }
+
+  const frame = []
+  for (let n = first; n <= last; n++) {
+    const text = lines[n - 1]
+    if (n === info.line) {
+      frame.push(`${paint('31;1', '>')} ${paint('2', gutter(n))} ${text}`)
+      if (typeof info.column === 'number' && info.column > 0) {
+        const indent = text.slice(0, info.column - 1).replace(/[^\t]/g, ' ')
+        frame.push(
+          `  ${paint('2', gutter(null))} ${indent}${paint('31;1', '^')}`
+        )
+      }
+    } else {
+      frame.push(`  ${paint('2', gutter(n))} ${text}`)
+    }
+  }
+  return frame.join('\n')
+}
+
+module.exports = {
+  getCodeFrame,
+  getErrorInfo
+}
@@ -19,7 +19,8 @@ gtm.add('./tasks/mincss', [
     src: './src/*.css',
     concat: 'main.css',
     dest: './dist',
-    watch: true
+    watch: true,
+    preset: 'legacy-browsers'
   }
 ])
 
@@ -27,5 +28,6 @@ gtm.add('./tasks/minjs', {
   src: ['./node_modules/jquery/dist/jquery.js', './src/*.js'],
   concat: 'main.js',
   dest: './dist',
-  watch: 'src/*.js'
+  watch: 'src/*.js',
+  outputs: [{ minify: false }, { suffix: '.min' }]
 })
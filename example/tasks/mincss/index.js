@@ -29,4 +29,28 @@ mincss.baseConfig = {
   }
 }
 
+mincss.presets = {
+  'legacy-browsers': {
+    autoprefixer: { flexbox: true, grid: 'autoplace' }
+  },
+  'modern-browsers': {
+    autoprefixer: false,
+    csso: { restructure: true }
+  }
+}
+
+mincss.schema = {
+  concat: { type: ['boolean', 'string'] },
+  minify: { type: 'boolean' },
+  sourcemaps: { type: ['boolean', 'string'] },
+  autoprefixer: { type: ['boolean', 'object'] },
+  csso: {
+    type: ['boolean', 'object'],
+    properties: {
+      restructure: { type: 'boolean' }
+    },
+    additionalProperties: true
+  }
+}
+
 module.exports = mincss
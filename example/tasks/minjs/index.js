@@ -2,16 +2,30 @@ const concat = require('gulp-concat')
 const uglify = require('gulp-uglify')
 
 /**
- * Make a simple JS build, optionally concatenated and minified
+ * Make a simple JS build, optionally concatenated and minified,
+ * with one or several outputs (e.g. 'main.js' and 'main.min.js')
  * @param {object} config - task configuration
  * @param {object} tools - gtm utility functions
  * @return {object}
  */
 function minjs(config, tools) {
-  return tools.simpleStream(config, [
-    config.concat && concat(config.concat),
-    config.minify && uglify(config.uglifyjs)
-  ])
+  const outputs = (config.outputs || []).map(output => ({
+    suffix: output.suffix,
+    dest: output.dest,
+    sourcemaps: output.sourcemaps,
+    transforms: [
+      (output.minify != null ? output.minify : config.minify) &&
+        uglify(config.uglifyjs)
+    ]
+  }))
+  return tools.simpleStream(
+    config,
+    [
+      config.concat && concat(config.concat),
+      outputs.length === 0 && config.minify && uglify(config.uglifyjs)
+    ],
+    outputs
+  )
 }
 
 minjs.baseConfig = {
@@ -25,4 +39,21 @@ minjs.baseConfig = {
   }
 }
 
+minjs.presets = {
+  'legacy-browsers': {
+    uglifyjs: { ie8: true, output: { ascii_only: true } }
+  },
+  debug: {
+    minify: false
+  }
+}
+
+minjs.schema = {
+  concat: { type: ['boolean', 'string'] },
+  minify: { type: 'boolean' },
+  outputs: { type: 'array', items: { type: 'object' } },
+  sourcemaps: { type: ['boolean', 'string'] },
+  uglifyjs: { type: 'object' }
+}
+
 module.exports = minjs
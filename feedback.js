@@ -1,4 +1,8 @@
-const glob = require('glob')
+const { saveOutputs } = require('./clean')
+const { checkDependencies } = require('./dependencies')
+const { showProfile, writeTrace } = require('./profile')
+const { writeReport } = require('./report')
+const { getSourceProblems } = require('./sources')
 const { options, scripts } = require('./state')
 const { customLog } = require('./helpers')
 const { showError } = require('./tools')
@@ -24,6 +28,10 @@ gtm.add(myTaskFunction, { … })
  */
 function onExit() {
   if (!onExit.done) {
+    writeReport()
+    saveOutputs()
+    showProfile()
+    writeTrace()
     if (options.strict !== true) showLoadingErrors()
     if (options.debug === true) showDebugInfo()
   }
@@ -36,6 +44,7 @@ function onExit() {
  */
 function showDebugInfo() {
   customLog(`gulp-task-maker options:\n${util.inspect(options)}`)
+  customLog(`gulp-task-maker environment: '${options.env}'`)
   for (const data of scripts) {
     const info = {
       callback: data.callback,
@@ -68,37 +77,56 @@ function handleError(err, store) {
 
 /**
  * Show errors which occurred when first loading a task's script.
+ * @return {string[]} names of scripts with errors
  */
 function showLoadingErrors() {
   const failedTasks = []
+  const warnedTasks = []
   const taskStatus = {}
 
+  // Report unknown or circular dependencies between build tasks
+  checkDependencies()
+
   // Construct data for full report
   for (const data of scripts) {
     const messages = []
-    // check sources
-    const mSources = data.sources.filter(s => glob.sync(s).length === 0)
+    // check sources: patterns and whole configs matching no files
+    const sources = getSourceProblems(data)
+    const mSources = sources.missing
     if (mSources.length !== 0) {
       messages.push(
         `✘ Missing sources: ${(mSources.length > 1 ? '\n  ' : '') +
           mSources.map(s => `'${s}'`).join('\n  ')}`
       )
     }
+    for (const task of sources.empty) {
+      messages.push(`✘ No source files for '${task}'`)
+    }
     // display remaining errors
-    for (const error of data.errors) {
+    for (const error of data.errors.filter(e => !e.warn)) {
       let msg = error.message || error.toString()
       const prefix = msg.startsWith('Error') ? '' : 'Error: '
       messages.push(`✘ ${prefix}${msg.replace(/\n/g, '\n  ')}`)
     }
     if (messages.length > 0) {
       failedTasks.push(data.name)
-    } else {
+    }
+    // and warnings, which don't count as failures
+    const warnings = data.errors.filter(e => e.warn)
+    for (const warning of warnings) {
+      let msg = warning.message || warning.toString()
+      messages.push(`⚠ Warning: ${msg.replace(/\n/g, '\n  ')}`)
+    }
+    if (warnings.length > 0 && !failedTasks.includes(data.name)) {
+      warnedTasks.push(data.name)
+    }
+    if (messages.length === 0) {
       messages.push(`✔ No issues detected`)
     }
     taskStatus[data.name] = messages
   }
 
-  if (failedTasks.length !== 0) {
+  if (failedTasks.length !== 0 || warnedTasks.length !== 0) {
     const messages = []
     for (const key of Object.keys(taskStatus)) {
       messages.push(
@@ -106,14 +134,18 @@ function showLoadingErrors() {
       )
     }
 
-    showError(
-      new Error(
-        `${failedTasks.length > 1 ? 'Errors' : 'Error'} in ${failedTasks
-          .map(s => `'${s}'`)
-          .join(', ')}\n${messages.join('\n')}`
-      )
+    const names = failedTasks.length !== 0 ? failedTasks : warnedTasks
+    const label = failedTasks.length !== 0 ? 'Error' : 'Warning'
+    const report = new Error(
+      `${label}${names.length > 1 ? 's' : ''} in ${names
+        .map(s => `'${s}'`)
+        .join(', ')}\n${messages.join('\n')}`
     )
+    report.warn = failedTasks.length === 0
+    showError(report)
   }
+
+  return failedTasks
 }
 
 module.exports = {
@@ -1,4 +1,6 @@
 const fancyLog = require('fancy-log')
+const fs = require('fs')
+const path = require('path')
 
 /**
  * Custom long log format using fancy-log
@@ -16,6 +18,23 @@ function customLog(message) {
   }
 }
 
+/**
+ * Format a size in bytes for humans, e.g. '12.34 kB'
+ * @param {number} bytes
+ * @return {string}
+ */
+function formatSize(bytes) {
+  const units = ['B', 'kB', 'MB', 'GB']
+  let value = bytes
+  let unit = 0
+  while (value >= 1000 && unit < units.length - 1) {
+    value /= 1000
+    unit += 1
+  }
+  const rounded = unit === 0 ? value : Math.round(value * 100) / 100
+  return `${rounded} ${units[unit]}`
+}
+
 /**
  * Basic workaround for typeof null === 'object'
  * @param {any} value
@@ -39,6 +58,41 @@ function isStream(value) {
   )
 }
 
+/**
+ * Create a folder and its missing parents
+ * @param {string} dir
+ */
+function mkdirp(dir) {
+  if (fs.existsSync(dir)) return
+  mkdirp(path.dirname(dir))
+  fs.mkdirSync(dir)
+}
+
+/**
+ * Parse a size such as 1024, '120kB', '1.5 MB' or '64 KiB' to bytes
+ * (kB, MB and GB use multiples of 1000, KiB, MiB and GiB of 1024)
+ * @param {number|string} input
+ * @return {number|null} size in bytes, or null if invalid
+ */
+function parseSize(input) {
+  if (typeof input === 'number') {
+    return input >= 0 ? input : null
+  }
+  const match = /^\s*(\d+(?:\.\d+)?)\s*([kmg]i?)?b?\s*$/i.exec(String(input))
+  if (!match) return null
+  const unit = (match[2] || '').toLowerCase()
+  const multipliers = {
+    '': 1,
+    k: 1e3,
+    m: 1e6,
+    g: 1e9,
+    ki: 1024,
+    mi: 1024 * 1024,
+    gi: 1024 * 1024 * 1024
+  }
+  return Math.round(parseFloat(match[1]) * multipliers[unit])
+}
+
 /**
  * Check if a string looks like a positive "word"
  * Accepts as true: true, 'true', 1, '1', 'on', and 'yes' (case-insensitive)
@@ -80,8 +134,11 @@ function toUniqueStrings(input) {
 
 module.exports = {
   customLog,
+  formatSize,
   isObject,
   isStream,
+  mkdirp,
+  parseSize,
   strToBool,
   toObjectArray,
   toUniqueStrings
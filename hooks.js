@@ -0,0 +1,152 @@
+/**
+ * @file Lifecycle hooks for build tasks
+ */
+
+const asyncDone = require('async-done')
+
+const { handleError } = require('./feedback')
+const { isObject, isStream } = require('./helpers')
+const { collectResult } = require('./run')
+const { options } = require('./state')
+
+/**
+ * Names of supported hooks
+ * @type {string[]}
+ */
+const HOOK_NAMES = ['before', 'after', 'onError']
+
+/**
+ * Get hook functions for a task callback: global hooks (from the 'hooks'
+ * option) run first, then hooks declared on the callback
+ * @param {Function} callback - task callback
+ * @return {{before: Function[], after: Function[], onError: Function[]}}
+ */
+function getHooks(callback) {
+  const sources = [options.hooks, callback.hooks].filter(isObject)
+  const hooks = {}
+  for (const name of HOOK_NAMES) {
+    hooks[name] = sources
+      .map(source => source[name])
+      .filter(fn => typeof fn === 'function')
+  }
+  return hooks
+}
+
+/**
+ * Call a hook, and wait for the promise or stream it returns, if any
+ * @param {Function} hook
+ * @param {Array} args
+ * @param {Function} callback - called with an error, if any
+ */
+function callHook(hook, args, callback) {
+  let result = null
+  try {
+    result = hook.apply(null, args)
+  } catch (err) {
+    return callback(err)
+  }
+  if (result && (typeof result.then === 'function' || isStream(result))) {
+    asyncDone(
+      () => result,
+      err => callback(err || null)
+    )
+  } else {
+    callback(null)
+  }
+}
+
+/**
+ * Call hooks one after the other
+ * @param {Function[]} hooks
+ * @param {Array} args
+ * @param {Function} callback - called with the first error, if any
+ */
+function callHooks(hooks, args, callback) {
+  const next = index => {
+    if (index >= hooks.length) return callback(null)
+    callHook(hooks[index], args, err => {
+      if (err) callback(err)
+      else next(index + 1)
+    })
+  }
+  next(0)
+}
+
+/**
+ * Report a failed hook, with the task's name
+ * @param {string} hookName
+ * @param {string} taskName
+ * @param {any} err
+ * @return {Error}
+ */
+function hookError(hookName, taskName, err) {
+  const message = err && err.message ? err.message : String(err)
+  const error = new Error(`'${hookName}' hook failed: ${message}`)
+  error.task = taskName
+  error.hook = hookName
+  if (!options.strict) handleError(error)
+  return error
+}
+
+/**
+ * Wrap a build task function to run the callback's and global hooks:
+ * - before(config): before the build; if it fails, the build is skipped
+ * - after(config, result): after the build, with written files and errors
+ * - onError(err, config): for each error shown for this task
+ * Hooks can return a promise or stream to be waited for.
+ * @param {Function} build - gulp task function
+ * @param {object} task
+ * @property {Function} task.callback
+ * @property {object} task.config
+ * @property {string} task.buildId
+ * @return {Function} gulp task function
+ */
+function withHooks(build, task) {
+  const { callback, config, buildId } = task
+  return done => {
+    const hooks = getHooks(callback)
+    if (HOOK_NAMES.every(name => hooks[name].length === 0)) {
+      return build(done)
+    }
+
+    const onError = err => {
+      // don't call onError hooks for failed hooks
+      if (err.hook) return
+      callHooks(hooks.onError, [err, config], hookErr => {
+        if (hookErr) hookError('onError', buildId, hookErr)
+      })
+    }
+
+    callHooks(hooks.before, [config], beforeErr => {
+      if (beforeErr) {
+        const error = hookError('before', buildId, beforeErr)
+        return done(options.strict ? error : null)
+      }
+      const { result, stop } = collectResult(buildId, [buildId], { onError })
+      asyncDone(build, buildErr => {
+        stop()
+        if (buildErr) {
+          if (isObject(buildErr) && !buildErr.task) buildErr.task = buildId
+          if (result.errors.includes(buildErr)) return done(buildErr)
+          result.errors.push(buildErr)
+          return callHooks(hooks.onError, [buildErr, config], hookErr => {
+            if (hookErr) hookError('onError', buildId, hookErr)
+            done(buildErr)
+          })
+        }
+        callHooks(hooks.after, [config, result], afterErr => {
+          if (afterErr) {
+            const error = hookError('after', buildId, afterErr)
+            return done(options.strict ? error : null)
+          }
+          done(null)
+        })
+      })
+    })
+  }
+}
+
+module.exports = {
+  getHooks,
+  withHooks
+}
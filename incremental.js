@@ -0,0 +1,247 @@
+/**
+ * @file On-disk cache of source files, for incremental builds
+ */
+
+const crypto = require('crypto')
+const fs = require('fs')
+const path = require('path')
+const { Transform } = require('stream')
+
+const { customLog, isObject, mkdirp, toUniqueStrings } = require('./helpers')
+const { matchSources } = require('./sources')
+const { options } = require('./state')
+
+/**
+ * Get a hash for a string or buffer
+ * @param {string|Buffer} content
+ * @return {string}
+ */
+function hash(content) {
+  return crypto
+    .createHash('sha1')
+    .update(content)
+    .digest('hex')
+}
+
+/**
+ * List files matching a list of glob patterns, like gulp.src does
+ * (see matchSources)
+ * @param {string[]} patterns
+ * @param {object} [srcOptions] - options for gulp.src
+ * @return {string[]} absolute paths
+ */
+function findFiles(patterns, srcOptions) {
+  return matchSources(patterns, srcOptions).files
+}
+
+/**
+ * Compute a stamp for each file, from its modification time and size
+ * (or from its content, for the 'hash' method)
+ * @param {string[]} files
+ * @param {string} method - 'mtime' or 'hash'
+ * @return {object}
+ */
+function getStamps(files, method) {
+  const stamps = {}
+  for (const file of files) {
+    try {
+      if (method === 'hash') {
+        stamps[file] = hash(fs.readFileSync(file))
+      } else {
+        const stat = fs.statSync(file)
+        stamps[file] = `${stat.mtime.getTime()}:${stat.size}`
+      }
+    } catch (err) {
+      // file was removed in the meantime, ignore it
+    }
+  }
+  return stamps
+}
+
+/**
+ * Path of the cache file for the sources of a build task (a task
+ * can use simpleStream several times, with different sources)
+ * @param {string} taskName - gulp task name, e.g. 'build_minjs'
+ * @param {object} config
+ * @return {string}
+ */
+function getCachePath(taskName, config) {
+  const key = hash(
+    [process.cwd(), taskName, JSON.stringify(config.src)].join('\n')
+  )
+  return path.join(path.resolve(options.cacheDir), `${key}.json`)
+}
+
+/**
+ * Read cached data, or return empty data if the cache is missing or broken
+ * @param {string} cachePath
+ * @return {{files: object, outputs: string[]}}
+ */
+function readCache(cachePath) {
+  try {
+    const data = JSON.parse(fs.readFileSync(cachePath, 'utf8'))
+    if (isObject(data.files) && Array.isArray(data.outputs)) {
+      return data
+    }
+  } catch (err) {
+    // no cache yet
+  }
+  return { files: {}, outputs: [] }
+}
+
+/**
+ * Write cached data, creating the cache folder if needed
+ * @param {string} cachePath
+ * @param {object} data
+ */
+function writeCache(cachePath, data) {
+  mkdirp(path.dirname(cachePath))
+  fs.writeFileSync(cachePath, JSON.stringify(data))
+}
+
+/**
+ * Get the settings of the 'incremental' config property, which can be
+ * true, 'mtime', 'hash', or an object with 'method' and 'perFile' keys
+ * @param {any} value
+ * @return {{method: string, perFile: boolean}}
+ */
+function getIncrementalSettings(value) {
+  const settings = isObject(value) ? value : { method: value }
+  return {
+    method: settings.method === 'hash' ? 'hash' : 'mtime',
+    perFile: settings.perFile === true
+  }
+}
+
+/**
+ * Check the 'incremental' config property
+ * @param {any} value
+ * @return {string[]} errors
+ */
+function validateIncremental(value) {
+  const methods = [true, false, 'mtime', 'hash']
+  if (isObject(value)) {
+    const { method, perFile } = value
+    const unknown = Object.keys(value).filter(
+      key => key !== 'method' && key !== 'perFile'
+    )
+    if (
+      unknown.length === 0 &&
+      (method == null || methods.includes(method)) &&
+      (perFile == null || typeof perFile === 'boolean')
+    ) {
+      return []
+    }
+  } else if (methods.includes(value)) {
+    return []
+  }
+  return [
+    `- 'incremental' must be true, 'mtime', 'hash', or an object with 'method' and 'perFile' keys`
+  ]
+}
+
+/**
+ * Compare source files with the cached state of the previous build.
+ * Returns an object with:
+ * - skip: true if nothing changed and the whole build can be skipped
+ * - filter: a stream which drops unchanged source files, or null if
+ *   all sources must be rebuilt; sources are only built separately
+ *   with the 'perFile' setting, since tasks may bundle all sources
+ *   in one output
+ * - record: a stream which records written files, and saves the cache
+ *   when the build finishes
+ * - fail: a function to call if the build failed, to not save the cache
+ * @param {object} config
+ * @param {string} [taskName] - gulp task name
+ * @return {object}
+ */
+function getIncrementalState(config, taskName) {
+  const { method, perFile } = getIncrementalSettings(config.incremental)
+  const sources = findFiles(config.src, config.srcOptions)
+  // watch patterns are relative to the same folder as sources
+  const { cwd } = isObject(config.srcOptions) ? config.srcOptions : {}
+  const watched = findFiles(config.watch || [], { cwd })
+  const stamps = getStamps(toUniqueStrings(sources.concat(watched)), method)
+
+  const cachePath = getCachePath(taskName || 'simpleStream', config)
+  const cache = options.force
+    ? { files: {}, outputs: [] }
+    : readCache(cachePath)
+
+  const changed = Object.keys(stamps).filter(f => cache.files[f] !== stamps[f])
+  const removed = Object.keys(cache.files).filter(f => !(f in stamps))
+  const missingOutputs = cache.outputs.filter(f => !fs.existsSync(f))
+  const unchanged = sources.filter(f => !changed.includes(f))
+
+  // no skipping on the first build, or when output files are missing
+  const noCache =
+    options.force ||
+    Object.keys(cache.files).length === 0 ||
+    missingOutputs.length > 0
+  const skip = !noCache && changed.length === 0 && removed.length === 0
+
+  // rebuild all sources unless the task builds each source separately,
+  // and when files were removed or non-source files (e.g. partials or
+  // imports) changed
+  const fullBuild =
+    !perFile ||
+    noCache ||
+    removed.length > 0 ||
+    changed.some(f => !sources.includes(f))
+
+  const state = { skip, filter: null, record: null, failed: false }
+  state.fail = () => {
+    state.failed = true
+  }
+
+  if (options.debug) {
+    const list = files => files.map(f => `\n- ${path.relative('.', f)}`)
+    if (skip) {
+      customLog(
+        `gulp-task-maker: no changes, skipping build${list(sources).join('')}`
+      )
+    } else if (!fullBuild && unchanged.length > 0) {
+      customLog(
+        `gulp-task-maker: skipping unchanged sources${list(unchanged).join('')}`
+      )
+    }
+  }
+  if (skip) return state
+
+  const outputs = new Set(fullBuild ? [] : cache.outputs)
+
+  if (!fullBuild) {
+    state.filter = new Transform({
+      objectMode: true,
+      transform(file, enc, callback) {
+        callback(null, changed.includes(file.path) ? file : undefined)
+      }
+    })
+  }
+
+  state.record = new Transform({
+    objectMode: true,
+    transform(file, enc, callback) {
+      outputs.add(file.path)
+      callback(null, file)
+    },
+    flush(callback) {
+      if (!state.failed) {
+        try {
+          writeCache(cachePath, { files: stamps, outputs: Array.from(outputs) })
+        } catch (err) {
+          customLog(`gulp-task-maker: could not write cache\n${err}`)
+        }
+      }
+      callback()
+    }
+  })
+
+  return state
+}
+
+module.exports = {
+  findFiles,
+  getIncrementalState,
+  validateIncremental
+}
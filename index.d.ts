@@ -0,0 +1,329 @@
+// Type definitions for gulp-task-maker
+
+/// <reference types="node" />
+
+import { ChildProcess } from 'child_process'
+import { Readable, Transform } from 'stream'
+
+declare namespace gtm {
+  /** Vinyl file object, as used by gulp */
+  interface File {
+    cwd: string
+    base: string
+    path: string
+    relative: string
+    basename: string
+    extname: string
+    contents: Buffer | NodeJS.ReadableStream | null
+    isBuffer(): boolean
+    isStream(): boolean
+    isNull(): boolean
+    [key: string]: any
+  }
+
+  /** Output folder, or function returning the output folder of a file */
+  type Dest = string | ((file: File) => string)
+
+  /** Maximum size, e.g. 1024 or '120kB' */
+  type Size = number | string
+
+  /** Override marker: replace the inherited value instead of merging */
+  interface ReplaceMarker<T> {
+    $replace: T
+  }
+
+  /** Override marker: add items to the inherited array */
+  interface AppendMarker<T> {
+    $append: T | T[]
+  }
+
+  /** A config value, which can be an override marker */
+  type Mergeable<T> =
+    | T
+    | ReplaceMarker<T>
+    | (T extends Array<infer U> ? AppendMarker<U> : never)
+    | (T extends object
+        ? T extends Function | any[]
+          ? never
+          : { [K in keyof T]?: Mergeable<T[K]> }
+        : never)
+
+  /** Config properties with a special meaning for gulp-task-maker */
+  interface CommonConfig {
+    /** Used in task names, e.g. 'build_mincss_main' */
+    name?: string
+    /** Glob patterns of source files */
+    src?: string | string[]
+    /** Options for gulp.src, such as cwd, base or dot */
+    srcOptions?: {
+      cwd?: string
+      base?: string
+      dot?: boolean
+      ignore?: string | string[]
+      [key: string]: any
+    }
+    /** Watch the src patterns (true), or other patterns */
+    watch?: boolean | string | string[]
+    watchOptions?: {
+      debounce?: number
+      ignoreInitial?: boolean
+      events?: Array<'add' | 'addDir' | 'change' | 'unlink' | 'unlinkDir'>
+    }
+    /** Output folder */
+    dest?: Dest
+    /** Write sourcemaps (true), or write them in this folder relative to dest */
+    sourcemaps?: boolean | string
+    /** Build tasks which must run before this one */
+    dependsOn?: string | string[]
+    /** Skip unchanged sources */
+    incremental?:
+      | boolean
+      | 'mtime'
+      | 'hash'
+      | { method?: 'mtime' | 'hash'; perFile?: boolean }
+    /** Add content hashes to file names */
+    revision?: boolean | { hashLength?: number; manifest?: string }
+    /** Write compressed copies of output files, e.g. ['gzip', 'brotli'] */
+    compress?: Compress
+    /** Milliseconds before the build task fails, or false for no timeout */
+    timeout?: number | false
+    /** Maximum sizes of output files, by file name or glob pattern */
+    budget?: { [pattern: string]: Size | { size?: Size; gzip?: Size } }
+  }
+
+  /** Compression formats, or levels by format with a minimum size */
+  type Compress =
+    | boolean
+    | 'gzip'
+    | 'brotli'
+    | Array<'gzip' | 'brotli'>
+    | {
+        gzip?: boolean | number
+        brotli?: boolean | number
+        threshold?: Size
+      }
+
+  /** Normalized config, as received by task callbacks */
+  type TaskConfig<C = {}> = C & CommonConfig
+
+  /** Config object given to gtm.add, checked against the task's config type */
+  type ConfigInput<C = {}> = { [K in keyof C]?: Mergeable<C[K]> } &
+    CommonConfig & {
+      /** Overrides for each environment, e.g. { production: { … } } */
+      env?: { [env: string]: ConfigInput<C> }
+      /** Inherit from other configs, or presets by name */
+      extends?: string | ConfigInput<C> | Array<string | ConfigInput<C>>
+      /** Presets exported by the task callback, by name */
+      preset?: string | string[]
+    }
+
+  /** Rule for a config property, in a task's schema */
+  interface SchemaRule {
+    type?: SchemaType | SchemaType[]
+    required?: boolean
+    enum?: any[]
+    properties?: Schema
+    additionalProperties?: boolean
+    items?: SchemaRule
+  }
+
+  type SchemaType =
+    | 'array'
+    | 'boolean'
+    | 'function'
+    | 'number'
+    | 'object'
+    | 'string'
+
+  type Schema<C = any> = { [K in keyof C]?: SchemaRule } & {
+    [key: string]: SchemaRule | undefined
+  }
+
+  /** Result of a build task, given to 'after' hooks */
+  interface TaskResult {
+    task: string
+    duration: number
+    files: Array<{ path: string; size: number | null }>
+    errors: any[]
+    warnings: any[]
+  }
+
+  /** Lifecycle hooks; they can return a promise or a stream */
+  interface Hooks<C = any> {
+    before?: (config: TaskConfig<C>) => any
+    after?: (config: TaskConfig<C>, result: TaskResult) => any
+    onError?: (err: any, config: TaskConfig<C>) => any
+  }
+
+  /** An output of simpleStream, for writing several variants of files */
+  interface Output {
+    /** Shown in the profile summary; defaults to the suffix */
+    name?: string
+    /** Added to file names before the extension, e.g. '.min' */
+    suffix?: string
+    /** Transforms applied only to this output */
+    transforms?: Array<NodeJS.ReadWriteStream | false | null | undefined>
+    /** Output folder; defaults to the config's dest */
+    dest?: Dest
+    /** Sourcemaps settings; defaults to the config's sourcemaps */
+    sourcemaps?: boolean | string
+    /** Compressed copies; defaults to the config's compress */
+    compress?: Compress
+  }
+
+  /** Helpers given to task callbacks */
+  interface Tools {
+    /** Signal that the task is finished */
+    done: (err?: any) => void
+    /** gulp-plumber instance logging errors */
+    catchErrors: (onError?: (err: any) => void) => Transform
+    /** Log an error, and send notifications */
+    showError: (err: any) => void
+    /** Log the size of files, in a folder or resolved from a dest function */
+    showSizes: (folder?: Dest) => Transform
+    /** Read sources, apply transforms, and write files to dest or outputs */
+    simpleStream: (
+      config: TaskConfig<any>,
+      transforms: Array<NodeJS.ReadWriteStream | false | null | undefined>,
+      outputs?: Output[]
+    ) => NodeJS.ReadWriteStream
+  }
+
+  /** Observable, e.g. from RxJS */
+  interface Subscribable {
+    subscribe(
+      next?: (value: any) => void,
+      error?: (err: any) => void,
+      complete?: () => void
+    ): any
+  }
+
+  /** What a task callback can return; the task finishes when it does */
+  type AsyncResult =
+    | NodeJS.ReadableStream
+    | NodeJS.ReadWriteStream
+    | Readable
+    | ChildProcess
+    | Subscribable
+    | PromiseLike<any>
+
+  type CallbackResult = void | AsyncResult | AsyncResult[]
+
+  /** Function making a gulp task from a config */
+  interface TaskCallback<C = any> {
+    (config: TaskConfig<C>, tools: Tools): CallbackResult
+    displayName?: string
+    baseConfig?: ConfigInput<C>
+    schema?: Schema<C>
+    presets?: { [name: string]: ConfigInput<C> }
+    hooks?: Hooks<C>
+  }
+
+  /** Settings for defineTask */
+  interface TaskDefinition<C> {
+    /** Task name, if the function has no name */
+    name?: string
+    baseConfig?: ConfigInput<C>
+    schema?: Schema<C>
+    presets?: { [name: string]: ConfigInput<C> }
+    hooks?: Hooks<C>
+  }
+
+  /** Notifier: a name, settings of a built-in notifier, or a function */
+  type Notifier =
+    | 'desktop'
+    | 'bell'
+    | { type: 'webhook'; url: string; headers?: { [name: string]: string } }
+    | { type: 'file'; path: string }
+    | { type: string; [key: string]: any }
+    | ((info: ErrorInfo, err: any) => void)
+
+  /** Structured info about an error */
+  interface ErrorInfo {
+    plugin: string
+    task: string | null
+    config: string | null
+    message: string
+    file: string | null
+    line: number | null
+    column: number | null
+    warn: boolean
+  }
+
+  /** General options */
+  interface Options {
+    debug?: boolean | string
+    notify?: boolean | string | Notifier | Notifier[]
+    parallel?: boolean | string
+    strict?: boolean | string
+    env?: string
+    force?: boolean | string
+    cacheDir?: string
+    manifest?: string
+    report?: boolean | string
+    hooks?: Hooks<any>
+    clean?: boolean | string
+    dryRun?: boolean | string
+    profile?: boolean | string
+    timeout?: number | false | string
+    server?:
+      | boolean
+      | string
+      | string[]
+      | { roots?: string | string[]; host?: string; port?: number }
+    buildPrefix?: string
+    watchPrefix?: string
+    cleanPrefix?: string
+    groups?: {
+      [name: string]: string[] | ((name: string) => boolean) | null | false
+    }
+  }
+
+  /** Result of gtm.run */
+  interface RunResult {
+    task: string
+    duration: number
+    files: Array<{ path: string; size: number | null }>
+    errors: any[]
+    warnings: any[]
+  }
+
+  /** Define gulp tasks for a task callback and one or several configs */
+  function add<C>(
+    callback: TaskCallback<C>,
+    configs: ConfigInput<C> | Array<ConfigInput<C>>
+  ): void
+  function add(
+    callback: string,
+    configs: ConfigInput<any> | Array<ConfigInput<any>>
+  ): void
+
+  /** Make a named task callback, with its base config, schema, etc. */
+  function defineTask<C>(
+    fn: (config: TaskConfig<C>, tools: Tools) => CallbackResult,
+    settings?: TaskDefinition<C>
+  ): TaskCallback<C>
+
+  /** Load tasks and options from a config file */
+  function load(file?: string): void
+
+  /** Run a task or task group */
+  function run(name: string, options?: { strict?: boolean }): Promise<RunResult>
+
+  /** Set general options */
+  function set(options: Options): void
+
+  /** Replace the inherited value, instead of merging objects */
+  function replace<T>(value: T): ReplaceMarker<T>
+
+  /** Add items to the inherited array, instead of replacing it */
+  function append<T>(value: T | T[]): AppendMarker<T>
+
+  /** Helpers for dest functions */
+  const dest: {
+    byExtension(routes: { [ext: string]: string }): (file: File) => string
+    mirrorBase(dest: string, root?: string): (file: File) => string
+  }
+}
+
+export = gtm
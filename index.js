@@ -1,10 +1,21 @@
-const addTasks = require('./add')
+const { addTasks } = require('./add')
+const { defineTask } = require('./define')
+const { byExtension, mirrorBase } = require('./dest')
 const { onExit } = require('./feedback')
+const { loadConfig } = require('./load')
+const { append, replace } = require('./merge')
+const { runTask } = require('./run')
 const { setOptions } = require('./state')
 
 process.on('exit', onExit)
 
 module.exports = {
   add: addTasks,
+  append,
+  defineTask,
+  dest: { byExtension, mirrorBase },
+  load: loadConfig,
+  replace,
+  run: runTask,
   set: setOptions
 }
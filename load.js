@@ -0,0 +1,164 @@
+/**
+ * @file Load tasks and options from a config file
+ */
+
+const fs = require('fs')
+const yaml = require('js-yaml')
+const path = require('path')
+
+const { addTasks, getTaskCallback } = require('./add')
+const { handleError } = require('./feedback')
+const { isObject, toObjectArray } = require('./helpers')
+const { options, scripts, setOptions } = require('./state')
+
+/**
+ * Config file names to look for when no path is given
+ * @type {string[]}
+ */
+const DEFAULT_FILES = [
+  'gtm.config.js',
+  'gtm.config.json',
+  'gtm.config.yml',
+  'gtm.config.yaml'
+]
+
+/**
+ * Read and parse a config file
+ * @param {string} filePath - absolute path
+ * @return {any}
+ * @throws {Error}
+ */
+function readConfigFile(filePath) {
+  const ext = path.extname(filePath).toLowerCase()
+  if (ext === '.js') {
+    return require(filePath)
+  }
+  const content = fs.readFileSync(filePath, 'utf8')
+  if (ext === '.json') {
+    return JSON.parse(content)
+  }
+  if (ext === '.yml' || ext === '.yaml') {
+    return yaml.safeLoad(content, { filename: filePath })
+  }
+  throw new Error(`Unsupported config file type '${ext}'`)
+}
+
+/**
+ * Get the script data used to report errors for a config file
+ * @param {string} filePath
+ * @return {object}
+ */
+function getFileData(filePath) {
+  const name = path.relative(process.cwd(), filePath)
+  let data = scripts.find(script => script.name === name)
+  if (!data) {
+    data = {
+      name: name,
+      callback: null,
+      configs: [],
+      normalizedConfigs: [],
+      errors: [],
+      tasks: []
+    }
+    scripts.push(data)
+  }
+  return data
+}
+
+/**
+ * Load task configs and options from a JS, JSON or YAML file:
+ * {
+ *   options: { ... },
+ *   tasks: { './path/to/task': [{ ... }, { ... }] }
+ * }
+ * Task module paths are relative to the config file.
+ * @param {string} [file] - defaults to gtm.config.(js|json|yml|yaml)
+ */
+function loadConfig(file) {
+  let filePath = null
+  if (typeof file === 'string' && file.trim() !== '') {
+    filePath = path.resolve(file.trim())
+  } else {
+    filePath = DEFAULT_FILES.map(name => path.resolve(name)).find(fs.existsSync)
+    if (!filePath) {
+      return handleError(
+        new Error(`No config file found (${DEFAULT_FILES.join(', ')})`)
+      )
+    }
+  }
+
+  // errors are reported as if the config file was a task script
+  const report = (message, warn) => {
+    const err = new Error(message)
+    if (warn) err.warn = true
+    const data = getFileData(filePath)
+    handleError(err, options.strict ? null : data.errors)
+  }
+
+  let content = null
+  try {
+    content = readConfigFile(filePath)
+  } catch (err) {
+    return report(`Could not load config file '${filePath}':\n${err.message}`)
+  }
+  if (!isObject(content) || Array.isArray(content)) {
+    return report(`Config file must contain an object`)
+  }
+
+  const unknownKeys = Object.keys(content).filter(
+    key => key !== 'options' && key !== 'tasks'
+  )
+  if (unknownKeys.length > 0) {
+    report(
+      `Unknown config file properties\n${unknownKeys
+        .map(key => `- '${key}'`)
+        .join('\n')}`,
+      true
+    )
+  }
+
+  if (content.options != null) {
+    if (!isObject(content.options)) {
+      report(`'options' must be an object`)
+    } else {
+      const unknownOptions = Object.keys(content.options).filter(
+        key => !(key in options)
+      )
+      if (unknownOptions.length > 0) {
+        report(
+          `Unknown options\n${unknownOptions
+            .map(key => `- 'options.${key}'`)
+            .join('\n')}`,
+          true
+        )
+      }
+      setOptions(content.options)
+    }
+  }
+
+  if (content.tasks != null && !isObject(content.tasks)) {
+    return report(`'tasks' must be an object`)
+  }
+  const baseDir = path.dirname(filePath)
+  for (const id of Object.keys(content.tasks || {})) {
+    const configs = content.tasks[id]
+    if (toObjectArray(configs).length === 0) {
+      report(
+        `Configs for task '${id}' must be an object or an array of objects`
+      )
+      continue
+    }
+    let callback = null
+    try {
+      callback = getTaskCallback(id, baseDir)
+    } catch (err) {
+      report(`Invalid task '${id}'\n${err.message}`)
+      continue
+    }
+    addTasks(callback, configs)
+  }
+}
+
+module.exports = {
+  loadConfig
+}
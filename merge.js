@@ -0,0 +1,130 @@
+/**
+ * @file Deep merge of config layers, with override markers
+ */
+
+/**
+ * Check if a value is a plain object (not an array, function, stream…)
+ * @param {any} value
+ * @return {boolean}
+ */
+function isPlainObject(value) {
+  if (value === null || typeof value !== 'object') return false
+  const proto = Object.getPrototypeOf(value)
+  return proto === Object.prototype || proto === null
+}
+
+/**
+ * Check if a value is an override marker, e.g. { $replace: value }
+ * @param {any} value
+ * @param {string} type - '$replace' or '$append'
+ * @return {boolean}
+ */
+function isMarker(value, type) {
+  return (
+    isPlainObject(value) &&
+    Object.keys(value).length === 1 &&
+    Object.prototype.hasOwnProperty.call(value, type)
+  )
+}
+
+/**
+ * Mark a value to replace the inherited value instead of being merged
+ * @param {any} value
+ * @return {{$replace: any}}
+ */
+function replace(value) {
+  return { $replace: value }
+}
+
+/**
+ * Mark an array to be added to the inherited array instead of replacing it
+ * @param {any} value - array or single item
+ * @return {{$append: any}}
+ */
+function append(value) {
+  return { $append: value }
+}
+
+/**
+ * Merge a value into an inherited value, returning a new value:
+ * - plain objects are merged recursively;
+ * - other values (including arrays) replace the inherited value;
+ * - { $replace: value } replaces the inherited value, even for objects;
+ * - { $append: array } adds items to the inherited array.
+ * Inherited objects are not modified.
+ * @param {any} base - inherited value
+ * @param {any} value
+ * @return {any}
+ */
+function mergeValues(base, value) {
+  if (isMarker(value, '$replace')) {
+    return mergeValues(undefined, value.$replace)
+  }
+  if (isMarker(value, '$append')) {
+    const items = [].concat(value.$append)
+    return (Array.isArray(base) ? base : []).concat(items)
+  }
+  if (isPlainObject(value)) {
+    const result = Object.assign({}, isPlainObject(base) ? base : {})
+    for (const key of Object.keys(value)) {
+      result[key] = mergeValues(result[key], value[key])
+    }
+    return result
+  }
+  return value
+}
+
+/**
+ * Record where the properties of a merged value come from, by property
+ * path (e.g. 'uglifyjs.output'), following the rules of mergeValues:
+ * - merged plain objects are tracked for each nested property;
+ * - other values (and $replace markers) replace the origins of the
+ *   inherited value and its nested properties;
+ * - $append markers add the origin to the inherited array's origin.
+ * @param {object} origins - origins by path, updated in place
+ * @param {string} path - path of the merged value
+ * @param {any} value - value merged into the inherited value
+ * @param {string} origin - e.g. 'config' or 'baseConfig.env.production'
+ */
+function trackOrigins(origins, path, value, origin) {
+  if (isMarker(value, '$append')) {
+    const previous = origins[path]
+    origins[path] = previous ? `${previous}, ${origin}` : origin
+    return
+  }
+  const replaced = isMarker(value, '$replace') || !isPlainObject(value)
+  if (replaced) {
+    delete origins[path]
+    for (const key of Object.keys(origins)) {
+      if (key.startsWith(`${path}.`)) delete origins[key]
+    }
+  }
+  if (isMarker(value, '$replace')) {
+    return trackOrigins(origins, path, value.$replace, origin)
+  }
+  if (!isPlainObject(value)) {
+    origins[path] = origin
+    return
+  }
+  const keys = Object.keys(value)
+  // an empty object only has an origin if nothing was inherited
+  if (keys.length === 0) {
+    const inherited = Object.keys(origins).some(
+      key => key === path || key.startsWith(`${path}.`)
+    )
+    if (!inherited) origins[path] = origin
+    return
+  }
+  delete origins[path]
+  for (const key of keys) {
+    trackOrigins(origins, `${path}.${key}`, value[key], origin)
+  }
+}
+
+module.exports = {
+  append,
+  isPlainObject,
+  mergeValues,
+  replace,
+  trackOrigins
+}
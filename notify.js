@@ -0,0 +1,149 @@
+/**
+ * @file Notification backends for errors
+ */
+
+const fs = require('fs')
+const http = require('http')
+const https = require('https')
+const notifier = require('node-notifier')
+const path = require('path')
+const url = require('url')
+
+const { getErrorInfo } = require('./errors')
+const { customLog, isObject, mkdirp } = require('./helpers')
+const { options } = require('./state')
+
+/**
+ * Built-in notifiers; each takes settings and returns a function
+ * which receives structured error info
+ * @type {object}
+ */
+const notifiers = {
+  /**
+   * System notifications using node-notifier
+   * @return {Function}
+   */
+  desktop() {
+    return info => {
+      const where = path.basename(process.cwd())
+      notifier.notify({
+        title: `${where}: ${info.plugin} error`,
+        message: info.message.replace(/\s*\n+\s*/g, '\n')
+      })
+    }
+  },
+
+  /**
+   * Terminal bell
+   * @return {Function}
+   */
+  bell() {
+    return () => {
+      process.stderr.write('\x07')
+    }
+  },
+
+  /**
+   * POST error info as JSON to a URL
+   * @param {object} settings
+   * @property {string} settings.url
+   * @property {object} [settings.headers]
+   * @return {Function}
+   * @throws {Error} without a URL
+   */
+  webhook(settings) {
+    if (typeof settings.url !== 'string' || settings.url === '') {
+      throw new Error(`'webhook' notifier needs a 'url' setting`)
+    }
+    const target = url.parse(settings.url)
+    const client = target.protocol === 'https:' ? https : http
+    return info => {
+      const body = JSON.stringify(info)
+      const headers = Object.assign(
+        {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(body)
+        },
+        settings.headers
+      )
+      const request = client.request(
+        Object.assign({}, target, { method: 'POST', headers }),
+        response => response.resume()
+      )
+      request.on('error', err => {
+        customLog(`gulp-task-maker: webhook notification failed\n${err}`)
+      })
+      request.end(body)
+    }
+  },
+
+  /**
+   * Append error info to a file, one JSON object per line
+   * @param {object} settings
+   * @property {string} settings.path
+   * @return {Function}
+   * @throws {Error} without a path
+   */
+  file(settings) {
+    if (typeof settings.path !== 'string' || settings.path === '') {
+      throw new Error(`'file' notifier needs a 'path' setting`)
+    }
+    const filePath = path.resolve(settings.path)
+    return info => {
+      const line = Object.assign({ date: new Date().toISOString() }, info)
+      mkdirp(path.dirname(filePath))
+      fs.appendFileSync(filePath, JSON.stringify(line) + '\n')
+    }
+  }
+}
+
+/**
+ * Get notifier functions from the 'notify' option, which can be:
+ * - a boolean (true for desktop notifications)
+ * - a notifier name ('desktop', 'bell')
+ * - an object with a 'type' and settings, e.g. { type: 'file', path: 'errors.log' }
+ * - a function, called with error info and the original error
+ * - or an array of those
+ * @param {any} value
+ * @return {Function[]}
+ */
+function getNotifiers(value) {
+  if (value === true) return [notifiers.desktop()]
+  if (!value) return []
+  return [].concat(value).map(item => {
+    if (typeof item === 'function') return item
+    const settings = isObject(item) ? item : { type: item }
+    const create = notifiers[settings.type]
+    if (typeof create !== 'function') {
+      throw new Error(`Unknown notifier '${settings.type}'`)
+    }
+    return create(settings)
+  })
+}
+
+/**
+ * Send an error to all configured notifiers
+ * @param {object|string} err
+ */
+function notify(err) {
+  let list = []
+  try {
+    list = getNotifiers(options.notify)
+  } catch (e) {
+    customLog(`gulp-task-maker: invalid 'notify' option\n${e.message}`)
+  }
+  const info = getErrorInfo(err)
+  for (const send of list) {
+    try {
+      send(info, err)
+    } catch (e) {
+      customLog(`gulp-task-maker: notification failed\n${e}`)
+    }
+  }
+}
+
+module.exports = {
+  getNotifiers,
+  notifiers,
+  notify
+}
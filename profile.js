@@ -0,0 +1,236 @@
+/**
+ * @file Timing profiler for build tasks and simpleStream transforms
+ */
+
+const asyncDone = require('async-done')
+const fs = require('fs')
+const path = require('path')
+const { Transform } = require('stream')
+
+const { customLog, formatSize, mkdirp } = require('./helpers')
+const { events, options } = require('./state')
+
+/**
+ * Measured tasks and stream stages
+ * @type {object[]}
+ */
+const entries = []
+
+/**
+ * Current time in milliseconds, with sub-millisecond precision
+ * @return {number}
+ */
+function now() {
+  const time = process.hrtime()
+  return time[0] * 1e3 + time[1] / 1e6
+}
+
+/**
+ * Size in bytes of a vinyl file's contents
+ * @param {object} file
+ * @return {number}
+ */
+function fileSize(file) {
+  return file.isBuffer() ? file.contents.length : 0
+}
+
+/**
+ * Wrap a build task function to measure its wall time, and the number
+ * and size of files it writes, when the 'profile' option is enabled
+ * @param {Function} run - gulp task function
+ * @param {object} task
+ * @property {string} task.buildId
+ * @property {object} task.config
+ * @return {Function} gulp task function
+ */
+function profileTask(run, task) {
+  return done => {
+    if (!options.profile) return run(done)
+    const entry = {
+      kind: 'task',
+      task: task.buildId,
+      name: task.buildId,
+      start: now(),
+      duration: 0,
+      filesOut: 0,
+      bytesOut: 0
+    }
+    const onFile = (file, config, taskName) => {
+      if (taskName !== task.buildId) return
+      entry.filesOut += 1
+      entry.bytesOut += fileSize(file)
+    }
+    events.on('file', onFile)
+    asyncDone(run, (err, result) => {
+      events.removeListener('file', onFile)
+      entry.duration = now() - entry.start
+      entries.push(entry)
+      done(err, result)
+    })
+  }
+}
+
+/**
+ * Make probes measuring a stage of a simpleStream pipeline: the input
+ * probe goes before the stage and the output probe after it.
+ * The stage's wall time is measured from its first input file (or from
+ * the creation of the probes, for stages without input) to its end.
+ * @param {string} [task] - name of the task using simpleStream
+ * @param {string} name - stage name, e.g. '2:uglify'
+ * @return {{input: Transform, output: Transform}}
+ */
+function profileStage(task, name) {
+  const entry = {
+    kind: 'stage',
+    task: task || 'simpleStream',
+    name,
+    start: now(),
+    duration: 0,
+    filesIn: 0,
+    filesOut: 0,
+    bytesIn: 0,
+    bytesOut: 0
+  }
+  let started = false
+  const input = new Transform({
+    objectMode: true,
+    transform(file, enc, callback) {
+      if (!started) entry.start = now()
+      started = true
+      entry.filesIn += 1
+      entry.bytesIn += fileSize(file)
+      callback(null, file)
+    }
+  })
+  const output = new Transform({
+    objectMode: true,
+    transform(file, enc, callback) {
+      entry.filesOut += 1
+      entry.bytesOut += fileSize(file)
+      callback(null, file)
+    },
+    flush(callback) {
+      entry.duration = now() - entry.start
+      entries.push(entry)
+      callback()
+    }
+  })
+  return { input, output }
+}
+
+/**
+ * Name of a transform stream, for profiling
+ * @param {object} transform
+ * @param {number} index
+ * @return {string}
+ */
+function getStageName(transform, index) {
+  const name =
+    transform.displayName ||
+    (transform.constructor && transform.constructor.name) ||
+    'transform'
+  return `${index + 1}:${name}`
+}
+
+/**
+ * Format a number of files and bytes for the profile summary
+ * @param {number} [files]
+ * @param {number} [bytes]
+ * @return {string}
+ */
+function formatFiles(files, bytes) {
+  return `${files} file${files === 1 ? '' : 's'}, ${formatSize(bytes)}`
+}
+
+/**
+ * Log measured tasks and stages, slowest first
+ */
+function showProfile() {
+  if (!options.profile || entries.length === 0) return
+  const byDuration = (a, b) => b.duration - a.duration
+  const ms = entry => `${Math.round(entry.duration)} ms`
+  const tasks = entries.filter(e => e.kind === 'task').sort(byDuration)
+  // stages of tasks run with gtm.run or without the profiler wrapper
+  for (const stage of entries.filter(e => e.kind === 'stage')) {
+    if (!tasks.some(t => t.task === stage.task)) {
+      tasks.push({ task: stage.task, name: stage.task, duration: 0 })
+    }
+  }
+  const lines = []
+  for (const task of tasks) {
+    const written =
+      task.filesOut != null
+        ? ` (${formatFiles(task.filesOut, task.bytesOut)})`
+        : ''
+    lines.push(`${task.name}: ${ms(task)}${written}`)
+    const stages = entries
+      .filter(e => e.kind === 'stage' && e.task === task.task)
+      .sort(byDuration)
+    for (const stage of stages) {
+      const input =
+        stage.filesIn > 0
+          ? `in: ${formatFiles(stage.filesIn, stage.bytesIn)}; `
+          : ''
+      const output = `out: ${formatFiles(stage.filesOut, stage.bytesOut)}`
+      lines.push(`  ${stage.name}: ${ms(stage)} (${input}${output})`)
+    }
+  }
+  customLog(`gulp-task-maker profile:\n${lines.join('\n')}`)
+}
+
+/**
+ * Get measured tasks and stages in the Chrome trace event format,
+ * which can be opened in chrome://tracing or other flamegraph viewers
+ * @return {object}
+ */
+function getTrace() {
+  const threads = []
+  const traceEvents = entries.map(entry => {
+    if (!threads.includes(entry.task)) threads.push(entry.task)
+    const args = Object.assign({}, entry)
+    delete args.start
+    delete args.duration
+    return {
+      name: entry.name,
+      cat: entry.kind,
+      ph: 'X',
+      ts: Math.round(entry.start * 1000),
+      dur: Math.round(entry.duration * 1000),
+      pid: process.pid,
+      tid: threads.indexOf(entry.task) + 1,
+      args
+    }
+  })
+  const names = threads.map((name, index) => ({
+    name: 'thread_name',
+    ph: 'M',
+    pid: process.pid,
+    tid: index + 1,
+    args: { name }
+  }))
+  return { traceEvents: names.concat(traceEvents) }
+}
+
+/**
+ * Write the trace file, if the 'profile' option is a file path
+ */
+function writeTrace() {
+  if (typeof options.profile !== 'string' || entries.length === 0) return
+  const filePath = path.resolve(options.profile)
+  try {
+    mkdirp(path.dirname(filePath))
+    fs.writeFileSync(filePath, JSON.stringify(getTrace()))
+    customLog(`gulp-task-maker: wrote profile trace to '${options.profile}'`)
+  } catch (err) {
+    customLog(`gulp-task-maker: could not write '${options.profile}'\n${err}`)
+  }
+}
+
+module.exports = {
+  getStageName,
+  getTrace,
+  profileStage,
+  profileTask,
+  showProfile,
+  writeTrace
+}
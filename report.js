@@ -0,0 +1,174 @@
+/**
+ * @file Machine-readable build report (JSON)
+ */
+
+const fs = require('fs')
+const gulp = require('gulp')
+const path = require('path')
+const zlib = require('zlib')
+
+const { findTask, getAllTasks, checkDependencies } = require('./dependencies')
+const { getErrorInfo } = require('./errors')
+const { customLog, mkdirp } = require('./helpers')
+const { getSourceProblems } = require('./sources')
+const { events, options, scripts } = require('./state')
+
+/**
+ * Info about build tasks which ran, by gulp task name
+ * @type {Map<string, object>}
+ */
+const results = new Map()
+
+/**
+ * Errors and warnings which we couldn't attribute to a task
+ * @type {object[]}
+ */
+const otherProblems = []
+
+/**
+ * Get or create the result entry for a build task
+ * @param {string} name
+ * @return {object}
+ */
+function getResult(name) {
+  if (!results.has(name)) {
+    results.set(name, {
+      status: 'pending',
+      start: null,
+      duration: null,
+      files: [],
+      errors: [],
+      warnings: []
+    })
+  }
+  return results.get(name)
+}
+
+/**
+ * Convert a process.hrtime duration to milliseconds
+ * @param {number[]} hrtime
+ * @return {number}
+ */
+function toMs(hrtime) {
+  return Math.round(hrtime[0] * 1e3 + hrtime[1] / 1e6)
+}
+
+gulp.on('start', event => {
+  if (!findTask(event.name)) return
+  const result = getResult(event.name)
+  result.status = 'running'
+  result.start = event.time
+})
+
+gulp.on('stop', event => {
+  if (!findTask(event.name)) return
+  const result = getResult(event.name)
+  result.status = result.errors.length > 0 ? 'failed' : 'success'
+  result.duration = toMs(event.duration)
+})
+
+gulp.on('error', event => {
+  if (!findTask(event.name)) return
+  const result = getResult(event.name)
+  result.status = 'failed'
+  result.duration = toMs(event.duration)
+  if (event.error && !result.errors.includes(event.error)) {
+    result.errors.push(event.error)
+  }
+})
+
+events.on('file', (file, config, taskName) => {
+  if (!options.report) return
+  const task = findTask(taskName)
+  if (!task) return
+  const size = file.isBuffer() ? file.contents.length : null
+  getResult(task.buildId).files.push({
+    path: path.relative(process.cwd(), file.path).replace(/\\/g, '/'),
+    size: size,
+    gzip: size === null ? null : zlib.gzipSync(file.contents).length
+  })
+})
+
+events.on('problem', err => {
+  if (!options.report) return
+  const taskName = err && err.task
+  if (!findTask(taskName)) {
+    otherProblems.push(err)
+    return
+  }
+  const result = getResult(taskName)
+  if (err.warn) result.warnings.push(err)
+  else result.errors.push(err)
+})
+
+/**
+ * Build the report object
+ * @return {object}
+ */
+function getReport() {
+  checkDependencies()
+  const tasks = getAllTasks().map(task => {
+    const result = getResult(task.buildId)
+    return {
+      task: task.buildId,
+      script: task.data.name,
+      name: typeof task.config.name === 'string' ? task.config.name : null,
+      status: result.status === 'pending' ? 'skipped' : result.status,
+      start: result.start,
+      duration: result.duration,
+      files: result.files,
+      errors: result.errors.map(getErrorInfo),
+      warnings: result.warnings.map(getErrorInfo)
+    }
+  })
+  const setup = scripts.map(data => {
+    const sources = getSourceProblems(data)
+    return {
+      script: data.name,
+      missingSources: sources.missing,
+      emptySources: sources.empty,
+      errors: data.errors.filter(e => !e.warn).map(getErrorInfo),
+      warnings: data.errors.filter(e => e.warn).map(getErrorInfo)
+    }
+  })
+  const errors = otherProblems.filter(e => !e.warn).map(getErrorInfo)
+  const warnings = otherProblems.filter(e => e.warn).map(getErrorInfo)
+  const success =
+    errors.length === 0 &&
+    tasks.every(t => t.errors.length === 0) &&
+    setup.every(
+      s =>
+        s.errors.length === 0 &&
+        s.missingSources.length === 0 &&
+        s.emptySources.length === 0
+    )
+
+  return {
+    date: new Date().toISOString(),
+    env: options.env,
+    success,
+    tasks,
+    setup,
+    errors,
+    warnings
+  }
+}
+
+/**
+ * Write the report to the path set with the 'report' option
+ */
+function writeReport() {
+  if (!options.report) return
+  const reportPath = path.resolve(options.report)
+  try {
+    mkdirp(path.dirname(reportPath))
+    fs.writeFileSync(reportPath, JSON.stringify(getReport(), null, 2) + '\n')
+  } catch (err) {
+    customLog(`gulp-task-maker: could not write report\n${err}`)
+  }
+}
+
+module.exports = {
+  getReport,
+  writeReport
+}
@@ -0,0 +1,133 @@
+/**
+ * @file Asset revisioning: add content hashes to file names, and keep
+ * a manifest of original and revisioned file names
+ */
+
+const crypto = require('crypto')
+const fs = require('fs')
+const path = require('path')
+const { Transform } = require('stream')
+
+const { isObject, mkdirp } = require('./helpers')
+const { options } = require('./state')
+
+/**
+ * Pending manifest updates, by manifest path.
+ * Builds running in parallel may update the same manifest, so we
+ * run updates for a given manifest one at a time.
+ * @type {Map<string, Promise>}
+ */
+const queues = new Map()
+
+/**
+ * Get the revision settings for a config object
+ * @param {object} config
+ * @return {{hashLength: number, manifest: string}}
+ */
+function getRevisionSettings(config) {
+  const settings = isObject(config.revision) ? config.revision : {}
+  let manifest = settings.manifest || options.manifest
+  if (typeof manifest !== 'string') {
+    const dir = typeof config.dest === 'string' ? config.dest : '.'
+    manifest = path.join(dir, 'manifest.json')
+  }
+  const hashLength =
+    typeof settings.hashLength === 'number' && settings.hashLength > 0
+      ? settings.hashLength
+      : 8
+  return { hashLength, manifest: path.resolve(manifest) }
+}
+
+/**
+ * Merge entries in a manifest file, writing to a temporary file first
+ * so that readers never see a partially written manifest
+ * @param {string} manifestPath
+ * @param {object} entries
+ * @return {Promise}
+ */
+function updateManifest(manifestPath, entries) {
+  const previous = queues.get(manifestPath) || Promise.resolve()
+  const next = previous.then(() => {
+    let current = {}
+    try {
+      current = JSON.parse(fs.readFileSync(manifestPath, 'utf8'))
+    } catch (err) {
+      // missing or invalid manifest, start over
+    }
+    const merged = Object.assign({}, current, entries)
+    const sorted = {}
+    for (const key of Object.keys(merged).sort()) {
+      sorted[key] = merged[key]
+    }
+    const tmpPath = `${manifestPath}.${process.pid}.tmp`
+    mkdirp(path.dirname(manifestPath))
+    fs.writeFileSync(tmpPath, JSON.stringify(sorted, null, 2) + '\n')
+    fs.renameSync(tmpPath, manifestPath)
+  })
+  // keep the queue going even if this update fails
+  const settled = next.catch(() => {})
+  queues.set(manifestPath, settled)
+  return next
+}
+
+/**
+ * Make streams for revisioning files:
+ * - rename: adds a content hash to file names; should be used before
+ *   writing sourcemaps, so that sourcemaps use the revisioned names
+ * - manifest: after writing files, updates the manifest
+ * @param {object} config
+ * @return {{rename: Transform, manifest: Transform}}
+ */
+function revisionFiles(config) {
+  const { hashLength, manifest } = getRevisionSettings(config)
+  const manifestDir = path.dirname(manifest)
+  const entries = {}
+
+  const toManifestKey = (file, relative) => {
+    const dest =
+      typeof config.dest === 'function' ? config.dest(file) : config.dest
+    const fullPath = path.resolve(file.cwd, String(dest), relative)
+    return path.relative(manifestDir, fullPath).replace(/\\/g, '/')
+  }
+
+  const rename = new Transform({
+    objectMode: true,
+    transform(file, enc, callback) {
+      if (!file.isBuffer()) {
+        return callback(null, file)
+      }
+      const original = file.relative
+      const hash = crypto
+        .createHash('md5')
+        .update(file.contents)
+        .digest('hex')
+        .slice(0, hashLength)
+      const ext = path.extname(file.path)
+      file.path = path.join(
+        path.dirname(file.path),
+        `${path.basename(file.path, ext)}.${hash}${ext}`
+      )
+      const key = toManifestKey(file, original)
+      entries[key] = toManifestKey(file, file.relative)
+      callback(null, file)
+    }
+  })
+
+  const manifestStream = new Transform({
+    objectMode: true,
+    transform(file, enc, callback) {
+      callback(null, file)
+    },
+    flush(callback) {
+      if (Object.keys(entries).length === 0) return callback()
+      updateManifest(manifest, entries).then(() => callback(), callback)
+    }
+  })
+
+  return { rename, manifest: manifestStream }
+}
+
+module.exports = {
+  revisionFiles,
+  updateManifest
+}
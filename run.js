@@ -0,0 +1,137 @@
+/**
+ * @file Run gulp tasks from Node scripts
+ */
+
+const gulp = require('gulp')
+
+const { findTask } = require('./dependencies')
+const { isObject, strToBool } = require('./helpers')
+const { events, options } = require('./state')
+
+/**
+ * List the labels of a gulp task and all the tasks and functions it runs.
+ * Build tasks with dependencies run other build tasks as functions, so
+ * labels of any node type are included.
+ * @param {string} name
+ * @return {string[]}
+ */
+function getTaskTree(name) {
+  const labels = []
+  const collect = nodes => {
+    for (const node of nodes) {
+      labels.push(node.label)
+      collect(node.nodes || [])
+    }
+  }
+  const root = gulp.tree({ deep: true }).nodes.find(n => n.label === name)
+  if (root) collect([root])
+  return labels
+}
+
+/**
+ * Collect the files written and the errors and warnings shown by some
+ * build tasks, until stopped
+ * @param {string} name - task name, for the result
+ * @param {string[]} taskNames - build tasks to collect from
+ * @param {object} [handlers]
+ * @property {Function} [handlers.onFile] - called with each collected file
+ * @property {Function} [handlers.onError] - called with each collected error
+ * @return {{result: object, stop: Function}} stop removes the listeners
+ *   and sets the result's duration
+ */
+function collectResult(name, taskNames, handlers) {
+  const { onFile, onError } = isObject(handlers) ? handlers : {}
+  const result = {
+    task: name,
+    duration: 0,
+    files: [],
+    errors: [],
+    warnings: []
+  }
+  const fileListener = (file, config, taskName) => {
+    if (!taskNames.includes(taskName)) return
+    result.files.push({
+      path: file.path,
+      size: file.isBuffer() ? file.contents.length : null
+    })
+    if (typeof onFile === 'function') onFile(file)
+  }
+  const problemListener = err => {
+    // ignore errors from other tasks running at the same time
+    if (!isObject(err) || !taskNames.includes(err.task)) return
+    if (err.warn) return result.warnings.push(err)
+    result.errors.push(err)
+    if (typeof onError === 'function') onError(err)
+  }
+
+  events.on('file', fileListener)
+  events.on('problem', problemListener)
+  const start = Date.now()
+  const stop = () => {
+    events.removeListener('file', fileListener)
+    events.removeListener('problem', problemListener)
+    result.duration = Date.now() - start
+    return result
+  }
+  return { result, stop }
+}
+
+/**
+ * Run a gulp task (or task group) and report written files and errors
+ * @param {string} name - task or group name, e.g. 'build' or 'build_minjs'
+ * @param {object} [runOptions]
+ * @property {boolean} [runOptions.strict] - reject if errors were shown
+ *   (defaults to the strict option)
+ * @return {Promise<object>} resolves with the result report
+ */
+function runTask(name, runOptions) {
+  const opts = isObject(runOptions) ? runOptions : {}
+  const strict = opts.strict != null ? strToBool(opts.strict) : options.strict
+
+  if (typeof name !== 'string' || !gulp.task(name)) {
+    return Promise.reject(new Error(`Unknown task '${name}'`))
+  }
+
+  const buildIds = getTaskTree(name)
+    .map(findTask)
+    .filter(Boolean)
+    .map(task => task.buildId)
+
+  const { result, stop } = collectResult(name, buildIds)
+
+  return new Promise((resolve, reject) => {
+    // the event loop is empty but the task didn't finish: it never will
+    const onBeforeExit = () => {
+      finish(
+        new Error(
+          `Task '${name}' did not finish: a task callback may have returned nothing without calling tools.done()`
+        )
+      )
+    }
+    const finish = err => {
+      process.removeListener('beforeExit', onBeforeExit)
+      stop()
+      if (err && !result.errors.includes(err)) {
+        result.errors.push(err)
+      }
+      if (strict && result.errors.length > 0) {
+        const error = result.errors[0]
+        error.result = result
+        reject(error)
+      } else {
+        resolve(result)
+      }
+    }
+    process.on('beforeExit', onBeforeExit)
+    try {
+      gulp.series(name)(finish)
+    } catch (err) {
+      finish(err)
+    }
+  })
+}
+
+module.exports = {
+  collectResult,
+  runTask
+}
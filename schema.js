@@ -0,0 +1,120 @@
+const { isObject } = require('./helpers')
+
+/**
+ * Config keys handled by gulp-task-maker itself, which are always allowed
+ * even if a task's schema doesn't declare them
+ * @type {string[]}
+ */
+const KNOWN_KEYS = [
+  'name',
+  'src',
+  'watch',
+  'dest',
+  'dependsOn',
+  'incremental',
+  'revision',
+  'budget',
+  'watchOptions',
+  'srcOptions',
+  'sourcemaps',
+  'timeout',
+  'compress'
+]
+
+/**
+ * Get the type name used in schemas for a value
+ * ('array', 'boolean', 'function', 'null', 'number', 'object' or 'string')
+ * @param {any} value
+ * @return {string}
+ */
+function typeOf(value) {
+  if (value === null) return 'null'
+  if (Array.isArray(value)) return 'array'
+  return typeof value
+}
+
+/**
+ * Check a single value against a schema rule
+ * @param {object} rule - e.g. { type: 'string', enum: ['a', 'b'] }
+ * @param {any} value
+ * @param {string} path - full path of the value, e.g. 'csso.restructure'
+ * @param {object} result - where to store errors and warnings
+ */
+function checkValue(rule, value, path, result) {
+  if (!isObject(rule)) return
+
+  if (value == null) {
+    if (rule.required === true) {
+      result.errors.push(`- '${path}' is required`)
+    }
+    return
+  }
+
+  const type = typeOf(value)
+  const expected = [].concat(rule.type || []).filter(Boolean)
+  if (expected.length > 0 && !expected.includes(type)) {
+    result.errors.push(
+      `- '${path}' must be of type ${expected.join(' or ')}, got ${type}`
+    )
+    return
+  }
+
+  if (Array.isArray(rule.enum) && !rule.enum.includes(value)) {
+    const allowed = rule.enum.map(v => JSON.stringify(v)).join(', ')
+    result.errors.push(
+      `- '${path}' must be one of ${allowed}, got ${JSON.stringify(value)}`
+    )
+    return
+  }
+
+  if (type === 'object' && isObject(rule.properties)) {
+    checkObject(rule.properties, value, path, result, rule.additionalProperties)
+  }
+
+  if (type === 'array' && isObject(rule.items)) {
+    value.forEach((item, index) => {
+      checkValue(rule.items, item, `${path}[${index}]`, result)
+    })
+  }
+}
+
+/**
+ * Check the properties of an object against a map of schema rules
+ * @param {object} properties - map of property names to schema rules
+ * @param {object} obj - object to check
+ * @param {string} path - path of the object, or empty string for the root
+ * @param {object} result - where to store errors and warnings
+ * @param {boolean} [allowUnknown] - skip warnings for undeclared properties
+ * @param {string[]} [knownKeys] - undeclared keys which should not be warned about
+ */
+function checkObject(properties, obj, path, result, allowUnknown, knownKeys) {
+  const prefix = path ? `${path}.` : ''
+  for (const key of Object.keys(properties)) {
+    checkValue(properties[key], obj[key], prefix + key, result)
+  }
+  if (allowUnknown === true) return
+  for (const key of Object.keys(obj)) {
+    if (key in properties) continue
+    if (Array.isArray(knownKeys) && knownKeys.includes(key)) continue
+    result.warnings.push(`- '${prefix + key}' is not a known config property`)
+  }
+}
+
+/**
+ * Validate a config object against a task's schema
+ * @param {object} schema - map of config keys to rules
+ * @param {object} config - merged config object
+ * @return {{errors: string[], warnings: string[]}}
+ */
+function validateConfig(schema, config) {
+  const result = { errors: [], warnings: [] }
+  if (isObject(schema) && isObject(config)) {
+    checkObject(schema, config, '', result, false, KNOWN_KEYS)
+  }
+  return result
+}
+
+module.exports = {
+  KNOWN_KEYS,
+  validateConfig
+}
@@ -0,0 +1,305 @@
+/**
+ * @file Dev server with live-reload, for watch tasks
+ */
+
+const fs = require('fs')
+const http = require('http')
+const path = require('path')
+const url = require('url')
+
+const { getCodeFrame, getErrorInfo } = require('./errors')
+const { customLog, isObject } = require('./helpers')
+const { events, options } = require('./state')
+
+/**
+ * Default values for the 'server' option
+ * @type {object}
+ */
+const SERVER_DEFAULTS = {
+  host: 'localhost',
+  port: 3000,
+  roots: ['.']
+}
+
+/**
+ * Content types for served files
+ * @type {object}
+ */
+const CONTENT_TYPES = {
+  '.css': 'text/css; charset=utf-8',
+  '.gif': 'image/gif',
+  '.html': 'text/html; charset=utf-8',
+  '.ico': 'image/x-icon',
+  '.jpg': 'image/jpeg',
+  '.js': 'application/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.map': 'application/json; charset=utf-8',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml',
+  '.txt': 'text/plain; charset=utf-8',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2'
+}
+
+/**
+ * Browser script listening to live-reload events
+ * @type {string}
+ */
+const CLIENT_SCRIPT = `(function() {
+  var source = new EventSource('/__gtm/events');
+  var overlay = null;
+  function hideOverlay() {
+    if (overlay) overlay.parentNode.removeChild(overlay);
+    overlay = null;
+  }
+  function showOverlay(data) {
+    hideOverlay();
+    overlay = document.createElement('div');
+    overlay.setAttribute('style', 'position:fixed;z-index:2147483647;top:0;left:0;right:0;bottom:0;overflow:auto;padding:2em;background:rgba(20,20,20,.92);color:#eee;font:14px/1.4 monospace;white-space:pre-wrap');
+    overlay.textContent = data.title + '\\n\\n' + data.message + (data.frame ? '\\n\\n' + data.frame : '');
+    overlay.onclick = hideOverlay;
+    document.body.appendChild(overlay);
+  }
+  function reloadStyles(files) {
+    var links = document.querySelectorAll('link[rel="stylesheet"]');
+    var names = files.map(function(f) { return f.split('/').pop(); });
+    var matches = Array.prototype.filter.call(links, function(link) {
+      var name = link.href.split('?')[0].split('/').pop();
+      return names.indexOf(name) !== -1;
+    });
+    (matches.length ? matches : Array.prototype.slice.call(links)).forEach(function(link) {
+      link.href = link.href.split('?')[0] + '?gtm=' + Date.now();
+    });
+  }
+  source.addEventListener('css', function(event) {
+    hideOverlay();
+    reloadStyles(JSON.parse(event.data).files);
+  });
+  source.addEventListener('reload', function() {
+    location.reload();
+  });
+  source.addEventListener('error-info', function(event) {
+    showOverlay(JSON.parse(event.data));
+  });
+})();
+`
+
+/**
+ * Current server and connected clients
+ * @type {{server: http.Server|null, clients: Set, changed: Set, timer: any}}
+ */
+const state = {
+  server: null,
+  clients: new Set(),
+  changed: new Set(),
+  timer: null
+}
+
+/**
+ * Get the server settings from the 'server' option
+ * @return {object}
+ */
+function getSettings() {
+  const settings = Object.assign(
+    {},
+    SERVER_DEFAULTS,
+    isObject(options.server) ? options.server : {}
+  )
+  settings.roots = [].concat(settings.roots).map(root => path.resolve(root))
+  return settings
+}
+
+/**
+ * Send an event to all connected browsers
+ * @param {string} type
+ * @param {object} data
+ */
+function broadcast(type, data) {
+  const message = `event: ${type}\ndata: ${JSON.stringify(data)}\n\n`
+  for (const response of state.clients) {
+    response.write(message)
+  }
+}
+
+/**
+ * Send a plain text error response
+ * @param {http.ServerResponse} response
+ * @param {number} status
+ * @param {string} message
+ */
+function sendError(response, status, message) {
+  response.writeHead(status, { 'Content-Type': CONTENT_TYPES['.txt'] })
+  response.end(message)
+}
+
+/**
+ * Find a file to serve for a decoded URL path, in the configured roots
+ * @param {string} urlPath
+ * @param {string[]} roots
+ * @return {string|null}
+ */
+function findFile(urlPath, roots) {
+  const relative = path.normalize(urlPath).replace(/^[/\\]+/, '')
+  for (const root of roots) {
+    let filePath = path.join(root, relative)
+    // refuse paths outside of the root folder
+    if (filePath !== root && !filePath.startsWith(root + path.sep)) continue
+    try {
+      if (fs.statSync(filePath).isDirectory()) {
+        filePath = path.join(filePath, 'index.html')
+      }
+      if (fs.statSync(filePath).isFile()) return filePath
+    } catch (err) {
+      // not in this root
+    }
+  }
+  return null
+}
+
+/**
+ * Handle HTTP requests: static files, client script and event stream
+ * @param {http.IncomingMessage} request
+ * @param {http.ServerResponse} response
+ * @param {string[]} roots
+ */
+function handleRequest(request, response, roots) {
+  const pathname = url.parse(request.url).pathname || '/'
+
+  if (pathname === '/__gtm/client.js') {
+    response.writeHead(200, { 'Content-Type': CONTENT_TYPES['.js'] })
+    return response.end(CLIENT_SCRIPT)
+  }
+
+  if (pathname === '/__gtm/events') {
+    response.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    })
+    response.write('\n')
+    state.clients.add(response)
+    request.on('close', () => state.clients.delete(response))
+    return
+  }
+
+  let decoded = null
+  try {
+    decoded = decodeURIComponent(pathname)
+  } catch (err) {
+    return sendError(response, 400, 'Bad request')
+  }
+  const filePath = findFile(decoded, roots)
+  if (!filePath) {
+    return sendError(response, 404, 'Not found')
+  }
+
+  const ext = path.extname(filePath).toLowerCase()
+  const headers = {
+    'Content-Type': CONTENT_TYPES[ext] || 'application/octet-stream',
+    'Cache-Control': 'no-cache'
+  }
+  if (ext === '.html') {
+    // inject the live-reload script
+    const script = '<script src="/__gtm/client.js"></script>'
+    let html = null
+    try {
+      html = fs.readFileSync(filePath, 'utf8')
+    } catch (err) {
+      // deleted since we found it, e.g. during a rebuild
+      return sendError(response, 404, 'Not found')
+    }
+    const body = /<\/body>/i.test(html)
+      ? html.replace(/<\/body>/i, `${script}</body>`)
+      : html + script
+    response.writeHead(200, headers)
+    return response.end(body)
+  }
+  const stream = fs.createReadStream(filePath)
+  stream.on('open', () => {
+    response.writeHead(200, headers)
+    stream.pipe(response)
+  })
+  stream.on('error', () => {
+    if (response.headersSent) response.destroy()
+    else sendError(response, 404, 'Not found')
+  })
+}
+
+/**
+ * Start the dev server, if enabled with the 'server' option
+ * and not already started
+ */
+function startServer() {
+  if (!options.server || state.server) return
+  const settings = getSettings()
+  state.server = http.createServer((request, response) =>
+    handleRequest(request, response, settings.roots)
+  )
+  state.server.on('error', err => {
+    customLog(`gulp-task-maker: dev server error\n${err.message}`)
+  })
+  state.server.listen(settings.port, settings.host, () => {
+    customLog(
+      `gulp-task-maker: serving ${settings.roots
+        .map(root => path.relative('.', root) || '.')
+        .join(', ')} at http://${settings.host}:${settings.port}/`
+    )
+  })
+}
+
+/**
+ * Stop the dev server and close connections
+ * @param {Function} [callback]
+ */
+function stopServer(callback) {
+  if (!state.server) {
+    if (callback) callback()
+    return
+  }
+  for (const response of state.clients) response.end()
+  state.clients.clear()
+  state.server.close(callback)
+  state.server = null
+}
+
+// reload stylesheets or pages after files are written
+events.on('file', file => {
+  if (!state.server) return
+  state.changed.add(file.relative.replace(/\\/g, '/'))
+  if (state.timer) clearTimeout(state.timer)
+  state.timer = setTimeout(() => {
+    // ignore sourcemaps and compressed copies
+    const files = Array.from(state.changed).filter(
+      f => !/\.(map|gz|br)$/.test(f)
+    )
+    state.changed.clear()
+    state.timer = null
+    if (files.length === 0) return
+    if (files.every(f => f.endsWith('.css'))) {
+      broadcast('css', { files })
+    } else {
+      broadcast('reload', { files })
+    }
+  }, 100)
+})
+
+// show build errors in the browser
+events.on('problem', err => {
+  if (!state.server || (err && err.warn)) return
+  const info = getErrorInfo(err)
+  const where = info.file
+    ? ` in ${[path.relative('.', info.file), info.line, info.column]
+        .filter(x => x !== null)
+        .join(':')}`
+    : ''
+  broadcast('error-info', {
+    title: `${info.plugin} error${where}`,
+    message: info.message,
+    frame: getCodeFrame(info)
+  })
+})
+
+module.exports = {
+  startServer,
+  stopServer
+}
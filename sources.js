@@ -0,0 +1,93 @@
+/**
+ * @file Checks for source files of configured tasks
+ */
+
+const glob = require('glob')
+const path = require('path')
+
+const { isObject, toUniqueStrings } = require('./helpers')
+
+/**
+ * Find files matching a list of patterns, like gulp.src does: negative
+ * patterns (e.g. '!src/vendor/**') exclude files matched by the positive
+ * patterns before them, and patterns are relative to the 'cwd' option
+ * (the 'dot' and 'ignore' options are supported too).
+ * @param {string|string[]} patterns
+ * @param {object} [srcOptions] - options for gulp.src
+ * @return {{files: string[], missing: string[]}} absolute paths of matched
+ *   files, and positive patterns which match no files at all
+ */
+function matchSources(patterns, srcOptions) {
+  const opts = isObject(srcOptions) ? srcOptions : {}
+  const list = toUniqueStrings(patterns)
+  const cwd = path.resolve(typeof opts.cwd === 'string' ? opts.cwd : '.')
+  const globOptions = { cwd, nodir: true, absolute: true, dot: !!opts.dot }
+  const optIgnore = toUniqueStrings(opts.ignore || [])
+  const files = []
+  const missing = []
+
+  list.forEach((pattern, index) => {
+    if (pattern.startsWith('!')) return
+    const ignore = list
+      .slice(index + 1)
+      .filter(p => p.startsWith('!'))
+      .map(p => p.slice(1))
+      .concat(optIgnore)
+    const all = glob.sync(pattern, globOptions)
+    if (all.length === 0) {
+      missing.push(pattern)
+    } else if (ignore.length > 0) {
+      files.push(...glob.sync(pattern, Object.assign({ ignore }, globOptions)))
+    } else {
+      files.push(...all)
+    }
+  })
+
+  return {
+    files: toUniqueStrings(files.map(f => path.normalize(f))),
+    missing
+  }
+}
+
+/**
+ * Check the sources of each config of a task's script
+ * @param {object} data - script data
+ * @return {Array<{task: string, missing: string[], empty: boolean}>} for
+ *   each config with a 'src', the build task name, positive patterns which
+ *   match no files, and whether the whole 'src' list matches no files
+ */
+function checkSources(data) {
+  return data.normalizedConfigs
+    .filter(config => config.src != null)
+    .map(config => {
+      const task = data.tasks.find(t => t.config === config)
+      const result = matchSources(config.src, config.srcOptions)
+      return {
+        task: task ? task.buildId : data.name,
+        missing: result.missing,
+        empty: result.files.length === 0
+      }
+    })
+}
+
+/**
+ * List source problems of a task's script
+ * @param {object} data - script data
+ * @return {{missing: string[], empty: string[]}} patterns which match no
+ *   files, and build tasks whose 'src' list matches no files
+ */
+function getSourceProblems(data) {
+  const results = checkSources(data)
+  return {
+    missing: toUniqueStrings(
+      results.reduce((arr, item) => arr.concat(item.missing), [])
+    ),
+    empty: results.filter(item => item.empty).map(item => item.task)
+  }
+}
+
+module.exports = {
+  checkSources,
+  getSourceProblems,
+  matchSources
+}
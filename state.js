@@ -1,36 +1,143 @@
+const { EventEmitter } = require('events')
 const { isObject, strToBool } = require('./helpers')
 
+/**
+ * Get the report path from an environment variable,
+ * with a default path for values such as '1' or 'true'
+ * @param {string} [value]
+ * @return {string|null}
+ */
+function toReportPath(value) {
+  if (typeof value !== 'string' || value.trim() === '') return null
+  if (strToBool(value, null) === true) return 'build-report.json'
+  if (strToBool(value, null) === false) return null
+  return value.trim()
+}
+
+/**
+ * Get the value of the profile option from a string: a boolean-like value,
+ * or the path of a trace file (which also enables the profiler)
+ * @param {string} [value]
+ * @return {boolean|string}
+ */
+function toProfileOption(value) {
+  if (typeof value !== 'string' || value.trim() === '') return false
+  const bool = strToBool(value, null)
+  return bool === null ? value.trim() : bool
+}
+
+/**
+ * Get the timeout of build tasks in milliseconds from a string,
+ * with 0 (no timeout) for empty, invalid or false-like values
+ * @param {string} [value]
+ * @return {number}
+ */
+function toTimeoutOption(value) {
+  if (typeof value !== 'string' || value.trim() === '') return 0
+  if (strToBool(value, null) === false) return 0
+  const ms = Number(value)
+  return ms >= 0 ? ms : 0
+}
+
+/**
+ * Get the value of the notify option from a string,
+ * which can be a boolean-like value or a list of notifier names
+ * @param {string} [value]
+ * @return {boolean|string[]}
+ */
+function toNotifyOption(value) {
+  const bool = strToBool(value, null)
+  if (bool !== null || typeof value !== 'string') {
+    return bool !== false
+  }
+  const names = value.split(',').map(s => s.trim())
+  return names.filter(Boolean)
+}
+
 /**
  * @type {object} options - gulp-task-maker options
  * @property {boolean} strict - whether to throw errors or log them after the fact
- * @property {boolean} notify - use node-notifier for system notifications?
- * @property {object} prefix - prefixes for the build and watch tasks
+ * @property {boolean|Array} notify - notifiers for errors (true for system notifications)
+ * @property {string} env - active environment, for the 'env' config key
+ * @property {boolean} force - ignore the cache for incremental builds
+ * @property {string} cacheDir - where to store the cache for incremental builds
+ * @property {string|null} manifest - shared manifest path for revisioned files
+ * @property {string|null} report - where to write a JSON build report
+ * @property {object|null} server - dev server settings, for watch tasks
+ * @property {boolean|string} profile - measure tasks, and optionally write a trace file
+ * @property {object} hooks - functions to run before and after each build task
+ * @property {boolean} clean - register clean tasks, and track written files
+ * @property {boolean} dryRun - list files in clean tasks without deleting them
+ * @property {number} timeout - fail build tasks running longer (in ms), or 0
+ * @property {object} prefix - prefixes for the build, watch and clean tasks
  * @property {object} groups - names and configuration for task groups
  */
 const options = {
   debug: strToBool(process.env.GTM_DEBUG, false),
-  notify: strToBool(process.env.GTM_NOTIFY, true),
+  notify: toNotifyOption(process.env.GTM_NOTIFY),
   parallel: strToBool(process.env.GTM_PARALLEL, true),
   strict: strToBool(process.env.GTM_STRICT, false),
+  env: process.env.GTM_ENV || process.env.NODE_ENV || 'development',
+  force:
+    strToBool(process.env.GTM_FORCE, false) || process.argv.includes('--force'),
+  cacheDir: 'node_modules/.cache/gulp-task-maker',
+  manifest: null,
+  report: toReportPath(process.env.GTM_REPORT),
+  server: strToBool(process.env.GTM_SERVER, false) ? {} : null,
+  profile: toProfileOption(process.env.GTM_PROFILE),
+  hooks: {},
+  clean: strToBool(process.env.GTM_CLEAN, false),
+  dryRun:
+    strToBool(process.env.GTM_DRY_RUN, false) ||
+    process.argv.includes('--dry-run'),
+  timeout: toTimeoutOption(process.env.GTM_TIMEOUT),
   buildPrefix: 'build_',
   watchPrefix: 'watch_',
+  cleanPrefix: 'clean_',
   groups: {
     build: name => name.startsWith(options.buildPrefix),
     watch: name => name.startsWith(options.watchPrefix)
   }
 }
 
+/**
+ * Default 'clean' task group, used when the clean option is enabled
+ * @param {string} name
+ * @return {boolean}
+ */
+const cleanGroup = name => name.startsWith(options.cleanPrefix)
+if (options.clean) options.groups.clean = cleanGroup
+
 /**
  * List of known scripts with status info
  * @type {Array}
  */
 const scripts = []
 
+/**
+ * Events emitted when running tasks:
+ * - 'file' (file, config, task): simpleStream wrote a file for a task
+ * - 'problem' (err): an error or warning was shown
+ * @type {EventEmitter}
+ */
+const events = new EventEmitter()
+
 /**
  * Override default gulp-task-maker options
  * @param {object} [input] - options, or undefined to return the current config
- * @property {string|boolean|number} [input.notify]
+ * @property {string|boolean|number|Array|Function|object} [input.notify]
  * @property {string|boolean|number} [input.strict]
+ * @property {string|boolean|number} [input.force]
+ * @property {string|boolean|number} [input.clean]
+ * @property {string|boolean|number} [input.dryRun]
+ * @property {string} [input.env]
+ * @property {string} [input.cacheDir]
+ * @property {string} [input.manifest]
+ * @property {string|boolean} [input.report]
+ * @property {boolean|string|string[]|object} [input.server]
+ * @property {boolean|string} [input.profile]
+ * @property {number|boolean} [input.timeout]
+ * @property {object} [input.hooks]
  * @property {object} [input.prefix]
  * @property {object} [input.groups]
  * @return {object}
@@ -39,18 +146,77 @@ function setOptions(input) {
   if (!isObject(input)) {
     throw new Error('gtm.conf method expects a config object')
   }
-  for (const key of ['debug', 'notify', 'parallel', 'strict']) {
+  for (const key of [
+    'debug',
+    'parallel',
+    'strict',
+    'force',
+    'clean',
+    'dryRun'
+  ]) {
     const value = input[key]
     if (typeof value === 'boolean') options[key] = value
     else if (value != null) options[key] = strToBool(value)
   }
-  for (const key of ['buildPrefix', 'watchPrefix']) {
+  for (const key of ['buildPrefix', 'watchPrefix', 'cleanPrefix']) {
     const value = input[key]
     if (typeof value === 'string') {
       const trimmed = value.replace(/\s+/g, '')
       if (trimmed !== '') options[key] = trimmed
     }
   }
+  if (typeof input.notify === 'boolean' || Array.isArray(input.notify)) {
+    options.notify = input.notify
+  } else if (typeof input.notify === 'function' || isObject(input.notify)) {
+    options.notify = [input.notify]
+  } else if (input.notify != null) {
+    options.notify = toNotifyOption(String(input.notify))
+  }
+  for (const key of ['env', 'cacheDir', 'manifest']) {
+    const value = input[key]
+    if (typeof value === 'string' && value.trim() !== '') {
+      options[key] = value.trim()
+    }
+  }
+  if (typeof input.report === 'string') {
+    options.report = toReportPath(input.report)
+  } else if (typeof input.report === 'boolean') {
+    options.report = input.report ? 'build-report.json' : null
+  }
+  if (typeof input.profile === 'boolean') {
+    options.profile = input.profile
+  } else if (typeof input.profile === 'string') {
+    options.profile = toProfileOption(input.profile)
+  }
+  if (typeof input.timeout === 'number' && input.timeout >= 0) {
+    options.timeout = input.timeout
+  } else if (input.timeout === false) {
+    options.timeout = 0
+  } else if (typeof input.timeout === 'string') {
+    options.timeout = toTimeoutOption(input.timeout)
+  }
+  if (typeof input.server === 'boolean') {
+    options.server = input.server ? {} : null
+  } else if (typeof input.server === 'string' || Array.isArray(input.server)) {
+    options.server = { roots: input.server }
+  } else if (isObject(input.server)) {
+    options.server = Object.assign({}, input.server)
+  }
+  if (isObject(input.hooks)) {
+    for (const name of ['before', 'after', 'onError']) {
+      const value = input.hooks[name]
+      if (typeof value === 'function') {
+        options.hooks[name] = value
+      } else if (value === null || value === false) {
+        delete options.hooks[name]
+      }
+    }
+  }
+  if (options.clean && !('clean' in options.groups)) {
+    options.groups.clean = cleanGroup
+  } else if (!options.clean && options.groups.clean === cleanGroup) {
+    delete options.groups.clean
+  }
   if (isObject(input.groups)) {
     for (const name of Object.keys(input.groups)) {
       const value = input.groups[name]
@@ -64,6 +230,7 @@ function setOptions(input) {
 }
 
 module.exports = {
+  events,
   options,
   scripts,
   setOptions
@@ -0,0 +1,54 @@
+// Type definitions for gulp-task-maker/testing
+
+/// <reference types="node" />
+
+import * as gtm from './index'
+
+declare namespace testing {
+  /** Input files: contents by path, or a list of files */
+  type InputFiles =
+    | { [path: string]: string | Buffer }
+    | Array<{ path: string; contents: string | Buffer } | gtm.File>
+
+  interface TestSettings {
+    /** Input files, written to a temp folder and used as the default src */
+    files?: InputFiles
+    /** Folder for src patterns */
+    cwd?: string
+    /** Active environment, for 'env' overrides */
+    env?: string
+    /** Keep the temp folder */
+    keep?: boolean
+    /** Hide logs (default: true) */
+    silent?: boolean
+  }
+
+  interface OutputFile {
+    /** Path relative to the temp folder, e.g. 'dist/main.css' */
+    path: string
+    contents: Buffer
+    text: string
+  }
+
+  interface TestResult<C = any> {
+    /** Temp folder, if the 'keep' setting is true */
+    dir: string | null
+    /** Normalized config, or null if it was invalid */
+    config: gtm.TaskConfig<C> | null
+    files: OutputFile[]
+    sourcemaps: { [path: string]: any }
+    sizes: Array<{ path: string; size: number }>
+    errors: any[]
+    warnings: any[]
+    logs: string[]
+  }
+
+  /** Run a task callback with a config, and capture its results */
+  function testTask<C>(
+    callback: gtm.TaskCallback<C> | string,
+    config?: gtm.ConfigInput<C>,
+    settings?: TestSettings
+  ): Promise<TestResult<C>>
+}
+
+export = testing
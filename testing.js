@@ -0,0 +1,253 @@
+/**
+ * @file Test harness for task callbacks: runs a callback against in-memory
+ * files or fixtures, and captures its output files, logs and errors
+ */
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const { getTaskCallback, normalizeConfig } = require('./add')
+const { completeTask } = require('./complete')
+const { isObject, mkdirp } = require('./helpers')
+const { collectResult } = require('./run')
+const { options } = require('./state')
+const { createTools } = require('./tools')
+
+/**
+ * Runs are queued, because they change global options and capture logs
+ * @type {Promise}
+ */
+let queue = Promise.resolve()
+
+/**
+ * Get a list of { path, contents } objects for input files, which can be
+ * vinyl objects, plain objects, or an object of contents by path
+ * @param {Array|object} files
+ * @return {Array<{path: string, contents: Buffer}>}
+ */
+function toInputFiles(files) {
+  const list = Array.isArray(files)
+    ? files.map(file => ({
+        path: file.relative || file.path,
+        contents: file.contents
+      }))
+    : Object.keys(files).map(key => ({ path: key, contents: files[key] }))
+  return list.map(file => ({
+    path: String(file.path),
+    contents: Buffer.isBuffer(file.contents)
+      ? file.contents
+      : Buffer.from(String(file.contents == null ? '' : file.contents))
+  }))
+}
+
+/**
+ * Delete a folder and its content
+ * @param {string} dir
+ */
+function removeDir(dir) {
+  if (!fs.existsSync(dir)) return
+  for (const name of fs.readdirSync(dir)) {
+    const item = path.join(dir, name)
+    if (fs.lstatSync(item).isDirectory()) removeDir(item)
+    else fs.unlinkSync(item)
+  }
+  fs.rmdirSync(dir)
+}
+
+/**
+ * ANSI color codes; the escape character is added with fromCharCode
+ * because a regex literal containing it fails eslint's no-control-regex
+ * @type {RegExp}
+ */
+const ANSI_COLORS = new RegExp(String.fromCharCode(27) + '\\[[0-9;]*m', 'g')
+
+/**
+ * Remove ANSI color codes and the fancy-log timestamp from a log line,
+ * and make paths in the temp folder relative to it (e.g. 'dist/a.css')
+ * @param {string} text
+ * @param {string} dir - temp folder
+ * @return {string}
+ */
+function cleanLogLine(text, dir) {
+  // relative paths first: '../tmp/gtm-test-x/' contains '/tmp/gtm-test-x/'
+  const prefixes = [path.relative('.', dir), dir].map(p => p + path.sep)
+  return prefixes
+    .reduce((line, prefix) => line.split(prefix).join(''), text)
+    .replace(ANSI_COLORS, '')
+    .replace(/^\[\d{2}:\d{2}:\d{2}\] /, '')
+}
+
+/**
+ * Run a task callback and capture its results
+ * @param {Function|string} callbackMixed - task callback or module path
+ * @param {object} config - task config, merged with the callback's baseConfig
+ * @param {object} [settings]
+ * @property {Array|object} [settings.files] - input files, written to a
+ *   temp folder and used as the default 'src'; vinyl objects, objects
+ *   with 'path' and 'contents', or an object of contents by path
+ * @property {string} [settings.cwd] - folder for 'src' patterns (defaults
+ *   to the temp folder with input files, or the current folder)
+ * @property {string} [settings.env] - environment for 'env' overrides
+ * @property {boolean} [settings.keep] - keep the temp folder
+ * @property {boolean} [settings.silent] - hide logs (defaults to true)
+ * @return {Promise<object>} resolves with the test result
+ */
+function run(callbackMixed, config, settings) {
+  const opts = Object.assign({ silent: true, keep: false }, settings)
+  const callback = getTaskCallback(callbackMixed)
+  const name = callback.displayName || callback.name
+  const taskName = `test_${name}`
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gtm-test-'))
+  const result = {
+    dir: opts.keep ? dir : null,
+    config: null,
+    files: [],
+    sourcemaps: {},
+    sizes: [],
+    errors: [],
+    warnings: [],
+    logs: []
+  }
+
+  // notifications are always off, and errors are captured instead of thrown
+  const saved = {
+    env: options.env,
+    notify: options.notify,
+    strict: options.strict,
+    write: process.stdout.write
+  }
+  Object.assign(options, { notify: false, strict: false })
+  if (typeof opts.env === 'string') options.env = opts.env
+
+  // capture logs (e.g. from tools.showSizes and tools.showError)
+  let logged = ''
+  const addLogs = text => {
+    const lines = (logged + text).split(/\r?\n/)
+    logged = lines.pop()
+    result.logs.push(...lines.map(line => cleanLogLine(line, dir)))
+  }
+  process.stdout.write = function(chunk) {
+    addLogs(String(chunk))
+    if (!opts.silent) return saved.write.apply(process.stdout, arguments)
+    return true
+  }
+
+  const restore = () => {
+    if (logged) addLogs('\n')
+    Object.assign(options, {
+      env: saved.env,
+      notify: saved.notify,
+      strict: saved.strict
+    })
+    process.stdout.write = saved.write
+    collector.stop()
+    if (!opts.keep) removeDir(dir)
+  }
+
+  const onFile = file => {
+    if (!file.isBuffer()) return
+    const output = {
+      path: path.relative(dir, file.path).replace(/\\/g, '/'),
+      contents: file.contents,
+      text: file.contents.toString()
+    }
+    result.files.push(output)
+    if (output.path.endsWith('.map')) {
+      try {
+        result.sourcemaps[output.path] = JSON.parse(output.text)
+      } catch (err) {
+        // not a JSON sourcemap
+      }
+    } else {
+      result.sizes.push({ path: output.path, size: file.contents.length })
+    }
+  }
+  // collect errors and warnings shown for the task
+  const collector = collectResult(taskName, [taskName], { onFile })
+  result.errors = collector.result.errors
+  result.warnings = collector.result.warnings
+
+  return new Promise(resolve => {
+    const finish = err => {
+      if (err && !result.errors.includes(err)) result.errors.push(err)
+      restore()
+      resolve(result)
+    }
+    try {
+      // write input files to the temp folder
+      const inputs = opts.files ? toInputFiles(opts.files) : []
+      for (const file of inputs) {
+        const filePath = path.join(dir, file.path)
+        mkdirp(path.dirname(filePath))
+        fs.writeFileSync(filePath, file.contents)
+      }
+
+      // normalize the config, with input files as the default sources
+      const data = { name, callback, errors: [] }
+      const input = Object.assign({}, config)
+      if (input.src == null && inputs.length > 0) {
+        input.src = inputs.map(file => file.path)
+        // keep the folder structure of input files
+        input.srcOptions = Object.assign({ base: dir }, input.srcOptions)
+      }
+      if (input.dest == null) input.dest = 'dist'
+      result.config = normalizeConfig(input, data) || null
+      for (const err of data.errors) {
+        if (err.warn) result.warnings.push(err)
+        else result.errors.push(err)
+      }
+      if (!result.config) return finish()
+
+      // read sources from the temp folder or 'cwd' setting,
+      // and write outputs in the temp folder
+      const cwd = opts.cwd || (inputs.length > 0 ? dir : null)
+      if (cwd) {
+        result.config.srcOptions = Object.assign({}, result.config.srcOptions, {
+          cwd: path.resolve(cwd)
+        })
+      }
+      const dest = result.config.dest
+      result.config.dest =
+        typeof dest === 'function'
+          ? file => path.resolve(dir, dest(file))
+          : path.resolve(dir, String(dest))
+
+      completeTask(
+        done => callback(result.config, createTools(taskName, done)),
+        { buildId: taskName, config: result.config }
+      )(err => finish(err))
+    } catch (err) {
+      finish(err)
+    }
+  })
+}
+
+/**
+ * Run a task callback with a config, against in-memory input files or
+ * fixtures, and capture its results for assertions. Output files are
+ * written to a temp folder, and notifications are disabled.
+ * @example
+ * const { testTask } = require('gulp-task-maker/testing')
+ * const result = await testTask(mincss, { sourcemaps: true }, {
+ *   files: { 'a.css': '.a { color: red }' }
+ * })
+ * // result.files: [{ path: 'dist/a.css', contents, text }, …]
+ * // result.sourcemaps: { 'dist/a.css.map': { version: 3, … } }
+ * // result.sizes, result.errors, result.warnings, result.logs
+ * @param {Function|string} callback - task callback or module path
+ * @param {object} [config] - task config
+ * @param {object} [settings] - see run
+ * @return {Promise<object>}
+ */
+function testTask(callback, config, settings) {
+  const next = queue.then(() =>
+    run(callback, isObject(config) ? config : {}, settings)
+  )
+  queue = next.catch(() => {})
+  return next
+}
+
+module.exports = {
+  testTask
+}
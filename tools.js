@@ -3,25 +3,43 @@
  */
 
 const gulp = require('gulp')
+const path = require('path')
 const plumber = require('gulp-plumber')
 const size = require('gulp-size')
 const sourcemaps = require('gulp-sourcemaps')
-const notifier = require('node-notifier')
-const path = require('path')
+const { PassThrough, Transform } = require('stream')
 
-const { customLog, isObject, isStream } = require('./helpers')
-const { options } = require('./state')
+const { checkBudget } = require('./budget')
+const { mergeStreams } = require('./complete')
+const {
+  compressFiles,
+  getCompressSettings,
+  getCompressedSizes,
+  isCompressedCopy
+} = require('./compress')
+const { resolveDest } = require('./dest')
+const { getCodeFrame, getErrorInfo } = require('./errors')
+const { customLog, formatSize, isObject, isStream } = require('./helpers')
+const { getIncrementalState } = require('./incremental')
+const { notify } = require('./notify')
+const { getStageName, profileStage } = require('./profile')
+const { revisionFiles } = require('./revision')
+const { events, options } = require('./state')
 
 /**
  * gulp-plumber with our custom error handler
+ * @param {Function} [onError] - called with each caught error
  * @return {*}
  */
-function catchErrors() {
+function catchErrors(onError) {
   // don't use an arrow function, we need the `this` instance!
   return plumber(function(err) {
     if (!err.plugin) {
       err.plugin = 'gulp-task-maker'
     }
+    if (typeof onError === 'function') {
+      onError(err)
+    }
     showError(err)
     // keep watch tasks running
     if (this && typeof this.emit === 'function') {
@@ -31,8 +49,9 @@ function catchErrors() {
 }
 
 /**
- * Log errors (and optionally notify with a system notification)
- * Throws if gulp-task-maker is in strict mode
+ * Log errors (and optionally send notifications)
+ * Throws if gulp-task-maker is in strict mode, unless the error
+ * is only a warning (err.warn is true)
  * @param {object} err
  */
 function showError(err) {
@@ -40,28 +59,47 @@ function showError(err) {
   const message =
     typeof err === 'string' ? err : err.message || err.formatted || ''
   const plugin = err.plugin || 'gulp-task-maker'
+  events.emit('problem', err)
 
-  // Show system notification
+  // Send notifications
   if (!err.warn && options.notify) {
-    const where = path.basename(process.cwd())
-    notifier.notify({
-      title: `${where}: ${plugin} error`,
-      message: message.replace(/\s*\n+\s*/g, '\n')
-    })
+    notify(err)
   }
 
-  // Throw or log in console
-  if (options.strict) throw err
-  else customLog(`${plugin} error: ${message}`)
+  // Throw or log in console, with the error's location in source code
+  if (options.strict && !err.warn) throw err
+  const details = []
+  const info = getErrorInfo(err)
+  if (info.file && info.line !== null) {
+    const where = [path.relative('.', info.file), info.line, info.column]
+    details.push(`at ${where.filter(x => x !== null).join(':')}`)
+    if (!err.codeFrame) {
+      details.push(
+        getCodeFrame(info, {
+          color: Boolean(process.stdout.isTTY) && !process.env.NO_COLOR,
+          source: typeof err.source === 'string' ? err.source : undefined
+        })
+      )
+    }
+  }
+  customLog(
+    [`${plugin} ${err.warn ? 'warning' : 'error'}: ${message}`]
+      .concat(details.filter(Boolean))
+      .join('\n')
+  )
 }
 
 /**
  * Helper function using gulp-size to log the size and path
  * of a file we're about to to write to the filesystem.
- * @param {string} folder - shown as a 'title' prefix before the file name
+ * @param {string|Function} folder - shown as a 'title' prefix before the
+ *   file name, or a 'dest' function giving the output folder of each file
  * @return {*}
  */
 function showSizes(folder) {
+  if (typeof folder === 'function') {
+    return showResolvedSizes(folder)
+  }
   return size({
     showFiles: true,
     showTotal: false,
@@ -69,14 +107,267 @@ function showSizes(folder) {
   })
 }
 
+/**
+ * Log the size and output folder of each file, for 'dest' functions
+ * which may write files to different folders, or with the sizes of
+ * compressed copies (sourcemaps and compressed copies are not logged)
+ * @param {string|Function} dest
+ * @param {boolean} [compressed] - show the sizes of compressed copies
+ * @return {Transform}
+ */
+function showResolvedSizes(dest, compressed) {
+  const color = Boolean(process.stdout.isTTY) && !process.env.NO_COLOR
+  const paint = (code, str) => (color ? `\x1b[${code}m${str}\x1b[39m` : str)
+  return new Transform({
+    objectMode: true,
+    transform(file, enc, callback) {
+      if (!file.isBuffer() || file.contents.length === 0) {
+        return callback(null, file)
+      }
+      if (compressed && (isCompressedCopy(file) || file.extname === '.map')) {
+        return callback(null, file)
+      }
+      let folder = null
+      try {
+        folder = resolveDest(dest, file)
+      } catch (err) {
+        return callback(err)
+      }
+      const where = path.relative('.', path.resolve(folder)) || '.'
+      const parts = [
+        paint(36, `${where}/`),
+        paint(34, file.relative),
+        paint(35, formatSize(file.contents.length))
+      ]
+      const sizes = compressed ? getCompressedSizes(file) : null
+      if (sizes) {
+        const list = Object.keys(sizes).map(
+          label => `${label} ${formatSize(sizes[label])}`
+        )
+        parts.push(paint(90, `(${list.join(', ')})`))
+      }
+      customLog(parts.join(' '))
+      callback(null, file)
+    }
+  })
+}
+
+/**
+ * Pipe a stream into a transform; with the 'profile' option, measure the
+ * time spent in the transform
+ * @param {object} stream
+ * @param {string} [task] - name of the task using simpleStream
+ * @param {string} name - stage name, for profiling
+ * @param {object} transform
+ * @return {object}
+ */
+function pipeStage(stream, task, name, transform) {
+  if (!options.profile) return stream.pipe(transform)
+  const probe = profileStage(task, name)
+  return stream
+    .pipe(probe.input)
+    .pipe(transform)
+    .pipe(probe.output)
+}
+
+/**
+ * Get the settings of each output of simpleStream, with default values
+ * from the config; without outputs, files are written once using the
+ * config's 'dest', 'sourcemaps' and 'compress' properties
+ * @param {object} config
+ * @param {Array} [outputs]
+ * @return {Array<object>}
+ * @throws {Error} if outputs are invalid
+ */
+function getOutputs(config, outputs) {
+  if (outputs != null && !Array.isArray(outputs)) {
+    throw new Error(
+      `expected an array for 'outputs', received '${typeof outputs}'`
+    )
+  }
+  const list = outputs && outputs.length > 0 ? outputs : [{}]
+  return list.map((output, index) => {
+    if (!isObject(output)) {
+      throw new Error(`expected an object for 'outputs[${index}]'`)
+    }
+    const dest = output.dest != null ? output.dest : config.dest
+    if (typeof dest !== 'string' && typeof dest !== 'function') {
+      throw new Error(
+        `expected a string or function for 'outputs[${index}].dest'`
+      )
+    }
+    const suffix = typeof output.suffix === 'string' ? output.suffix : ''
+    return {
+      name:
+        list.length === 1
+          ? ''
+          : String(output.name || suffix || `output${index + 1}`),
+      suffix,
+      transforms: Array.isArray(output.transforms) ? output.transforms : [],
+      dest,
+      sourcemaps:
+        output.sourcemaps != null ? output.sourcemaps : config.sourcemaps,
+      compress: getCompressSettings(
+        output.compress !== undefined ? output.compress : config.compress
+      )
+    }
+  })
+}
+
+/**
+ * Send copies of each file of a stream to several streams
+ * @param {object} stream
+ * @param {number} count
+ * @return {Array<Transform>}
+ */
+function forkStream(stream, count) {
+  if (count === 1) return [stream]
+  const branches = []
+  for (let i = 0; i < count; i++) {
+    branches.push(
+      stream.pipe(
+        new Transform({
+          objectMode: true,
+          transform(file, enc, callback) {
+            callback(null, file.clone())
+          }
+        })
+      )
+    )
+  }
+  return branches
+}
+
+/**
+ * Add a suffix to the names of files, before the extension
+ * @param {string} suffix - e.g. '.min' for 'script.js' -> 'script.min.js'
+ * @return {Transform}
+ */
+function addSuffix(suffix) {
+  return new Transform({
+    objectMode: true,
+    transform(file, enc, callback) {
+      const ext = path.extname(file.path)
+      file.path = path.join(
+        path.dirname(file.path),
+        `${path.basename(file.path, ext)}${suffix}${ext}`
+      )
+      callback(null, file)
+    }
+  })
+}
+
+/**
+ * Write the files of one output of simpleStream: apply the output's
+ * transforms, check sizes, add content hashes, log sizes, write
+ * sourcemaps and files, and report written files
+ * @param {object} stream
+ * @param {object} config
+ * @param {object} output - from getOutputs
+ * @param {string} [task] - name of the task using simpleStream
+ * @param {Function} reportError - called with budget errors
+ * @return {object}
+ */
+function writeOutput(stream, config, output, task, reportError) {
+  const stage = name => (output.name ? `${name} (${output.name})` : name)
+  // the config for this output, for revision settings
+  const outputConfig = Object.assign({}, config, {
+    dest: output.dest,
+    sourcemaps: output.sourcemaps
+  })
+
+  if (output.suffix) {
+    stream = stream.pipe(addSuffix(output.suffix))
+  }
+
+  // insert the output's transforms
+  output.transforms.filter(isStream).forEach((transform, index) => {
+    stream = pipeStage(
+      stream,
+      task,
+      stage(getStageName(transform, index)),
+      transform
+    )
+  })
+
+  // check output sizes
+  if (isObject(config.budget)) {
+    stream = stream.pipe(checkBudget(config.budget, reportError))
+  }
+
+  // add content hashes to file names
+  const revision = config.revision ? revisionFiles(outputConfig) : null
+  if (revision) {
+    stream = stream.pipe(revision.rename)
+  }
+
+  // log file sizes (after compression, to show compressed sizes)
+  if (!output.compress) {
+    stream = stream.pipe(
+      showSizes(
+        typeof output.dest === 'function' ? output.dest : `${output.dest}/`
+      )
+    )
+  }
+
+  // generate sourcemaps
+  if (output.sourcemaps) {
+    stream = stream.pipe(
+      sourcemaps.write(
+        typeof output.sourcemaps === 'string' ? output.sourcemaps : '.'
+      )
+    )
+  }
+
+  // add compressed copies of files
+  if (output.compress) {
+    stream = pipeStage(
+      stream,
+      task,
+      stage('compress'),
+      compressFiles(output.compress)
+    )
+    stream = stream.pipe(showResolvedSizes(output.dest, true))
+  }
+
+  // write files
+  stream = pipeStage(stream, task, stage('dest'), gulp.dest(output.dest))
+
+  // report written files
+  stream = stream.pipe(
+    new Transform({
+      objectMode: true,
+      transform(file, enc, callback) {
+        events.emit('file', file, config, task)
+        callback(null, file)
+      }
+    })
+  )
+
+  // update the manifest of revisioned files
+  if (revision) {
+    stream = stream.pipe(revision.manifest)
+  }
+
+  return stream
+}
+
 /**
  * gulp workflow (read files, transform, then write to disk),
- * with sourcemaps support and better error and output logging
+ * with sourcemaps support and better error and output logging.
+ * With several outputs, files are read and transformed once, then copied
+ * to each output, which can have its own transforms, suffix, dest and
+ * sourcemaps settings.
  * @param {object} config
  * @param {Array} transforms
+ * @param {Array<object>} [outputs]
+ * @param {object} [context]
+ * @property {string} [context.task] - name of the gulp task
+ * @property {Function} [context.onError] - called with each caught error
  * @return {*}
  */
-function simpleStream(config, transforms) {
+function simpleStream(config, transforms, outputs, context) {
+  const { task, onError } = isObject(context) ? context : {}
   if (!Array.isArray(transforms)) {
     transforms = []
   }
@@ -87,7 +378,11 @@ function simpleStream(config, transforms) {
     err = `missing config object, received '${typeof config}'`
   } else {
     const { dest, src } = config
-    if (typeof dest !== 'string' && typeof dest !== 'function') {
+    if (
+      typeof dest !== 'string' &&
+      typeof dest !== 'function' &&
+      !(Array.isArray(outputs) && outputs.length > 0)
+    ) {
       err = `expected a string or function for 'dest' property in config`
     } else if (!Array.isArray(src) && typeof src !== 'string') {
       err = `expected a string or array for 'src' property in config`
@@ -96,42 +391,100 @@ function simpleStream(config, transforms) {
   if (err != null) {
     throw new Error(`${err}\n${JSON.stringify(config, null, 2)}`)
   }
+  const outputList = getOutputs(config, outputs)
+
+  // skip unchanged sources in incremental mode
+  const cache = config.incremental ? getIncrementalState(config, task) : null
+  if (cache && cache.skip) {
+    const empty = new PassThrough({ objectMode: true })
+    empty.end()
+    return empty
+  }
 
   // create plumbed stream
-  let stream = gulp
-    .src(config.src, { allowEmpty: !options.strict })
-    .pipe(catchErrors())
+  const srcOptions = Object.assign(
+    { allowEmpty: !options.strict },
+    config.srcOptions
+  )
+  let stream = gulp.src(config.src, srcOptions).pipe(
+    catchErrors(err => {
+      if (cache) cache.fail()
+      if (typeof onError === 'function') onError(err)
+    })
+  )
+
+  // with the 'profile' option, measure the time spent reading files,
+  // in each transform, and writing files
+  if (options.profile) {
+    stream = stream.pipe(profileStage(task, 'src').output)
+  }
+
+  if (cache && cache.filter) {
+    stream = stream.pipe(cache.filter)
+  }
 
   // init sourcemaps
-  if (config.sourcemaps) {
+  if (outputList.some(output => output.sourcemaps)) {
     stream = stream.pipe(sourcemaps.init())
   }
 
   // insert transforms in the middle
-  for (const transform of transforms.filter(isStream)) {
-    stream = stream.pipe(transform)
-  }
+  transforms.filter(isStream).forEach((transform, index) => {
+    stream = pipeStage(stream, task, getStageName(transform, index), transform)
+  })
 
-  // log file sizes
-  stream = stream.pipe(
-    showSizes(typeof config.dest === 'string' ? config.dest + '/' : undefined)
+  // write each output
+  const reportError = err => {
+    if (typeof onError === 'function') onError(err)
+    showError(err)
+  }
+  const written = forkStream(stream, outputList.length).map((branch, index) =>
+    writeOutput(branch, config, outputList[index], task, reportError)
   )
+  stream = written.length === 1 ? written[0] : mergeStreams(written)
 
-  // generate sourcemaps
-  if (config.sourcemaps) {
-    stream = stream.pipe(
-      sourcemaps.write(
-        typeof config.sourcemaps === 'string' ? config.sourcemaps : '.'
-      )
-    )
+  // save the state of sources for the next incremental build
+  if (cache) {
+    stream = stream.pipe(cache.record)
   }
 
-  // write files
-  return stream.pipe(gulp.dest(config.dest))
+  return stream
+}
+
+/**
+ * Make the tools object given to task callbacks; errors shown using
+ * these tools have a 'task' property with the gulp task name
+ * @param {string} taskName
+ * @param {Function} done
+ * @return {object}
+ */
+function createTools(taskName, done) {
+  const setTask = err => {
+    // wrap string errors, so they can be matched to their task too
+    if (typeof err === 'string') err = new Error(err)
+    if (isObject(err) && !err.task) err.task = taskName
+    return err
+  }
+  return {
+    done: done,
+    catchErrors: onError =>
+      catchErrors(err => {
+        setTask(err)
+        if (typeof onError === 'function') onError(err)
+      }),
+    showError: err => showError(setTask(err)),
+    showSizes: showSizes,
+    simpleStream: (config, transforms, outputs) =>
+      simpleStream(config, transforms, outputs, {
+        task: taskName,
+        onError: setTask
+      })
+  }
 }
 
 module.exports = {
   catchErrors,
+  createTools,
   showError,
   showSizes,
   simpleStream
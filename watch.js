@@ -0,0 +1,153 @@
+/**
+ * @file Watch tasks with debounced and batched rebuilds
+ */
+
+const gulp = require('gulp')
+const path = require('path')
+
+const { customLog, isObject } = require('./helpers')
+const { startServer } = require('./server')
+
+/**
+ * Default values for the 'watchOptions' config property
+ * @type {object}
+ */
+const WATCH_DEFAULTS = {
+  debounce: 200,
+  ignoreInitial: true,
+  events: ['add', 'change', 'unlink']
+}
+
+/**
+ * Time after which a running rebuild is reported as slow, in milliseconds.
+ * Build tasks have no timeout by default, so a hung task would otherwise
+ * block all later rebuilds silently.
+ * @type {number}
+ */
+const SLOW_REBUILD = 30000
+
+/**
+ * Events supported by gulp.watch
+ * @type {string[]}
+ */
+const WATCH_EVENTS = ['add', 'addDir', 'change', 'unlink', 'unlinkDir']
+
+/**
+ * Check the 'watchOptions' config property
+ * @param {any} value
+ * @return {string[]} errors
+ */
+function validateWatchOptions(value) {
+  if (!isObject(value) || Array.isArray(value)) {
+    return [`- 'watchOptions' must be an object`]
+  }
+  const errors = []
+  const { debounce, ignoreInitial, events } = value
+  if (debounce != null && !(typeof debounce === 'number' && debounce >= 0)) {
+    errors.push(`- 'watchOptions.debounce' must be a positive number`)
+  }
+  if (ignoreInitial != null && typeof ignoreInitial !== 'boolean') {
+    errors.push(`- 'watchOptions.ignoreInitial' must be a boolean`)
+  }
+  if (
+    events != null &&
+    !(
+      Array.isArray(events) &&
+      events.length > 0 &&
+      events.every(e => WATCH_EVENTS.includes(e))
+    )
+  ) {
+    errors.push(
+      `- 'watchOptions.events' must be an array with some of: ${WATCH_EVENTS.join(
+        ', '
+      )}`
+    )
+  }
+  return errors
+}
+
+/**
+ * Format a list of changed files for logging
+ * @param {string[]} files
+ * @return {string}
+ */
+function listChanges(files) {
+  const max = 10
+  const lines = files.slice(0, max).map(f => `- ${path.relative('.', f)}`)
+  if (files.length > max) {
+    lines.push(`(and ${files.length - max} more)`)
+  }
+  return lines.join('\n')
+}
+
+/**
+ * Watch a build task's files, and rebuild when they change.
+ * Changes are debounced, and changes happening during a build
+ * trigger a single rebuild when the current build is finished.
+ * Starts the dev server if the 'server' option is set.
+ * @param {object} task - build task info
+ * @return {object} the watcher (see gulp.watch)
+ */
+function watchTask(task) {
+  const settings = Object.assign({}, WATCH_DEFAULTS, task.config.watchOptions)
+  startServer()
+  const { cwd } = isObject(task.config.srcOptions) ? task.config.srcOptions : {}
+  const watcher = gulp.watch(task.config.watch, {
+    cwd: cwd || process.cwd(),
+    ignoreInitial: settings.ignoreInitial,
+    events: settings.events
+  })
+
+  const pending = new Set()
+  let timer = null
+  let running = false
+
+  const rebuild = () => {
+    timer = null
+    if (running || pending.size === 0) return
+    const changes = Array.from(pending)
+    pending.clear()
+    running = true
+    customLog(
+      `${task.buildId}: ${changes.length} changed file${
+        changes.length > 1 ? 's' : ''
+      }\n${listChanges(changes)}`
+    )
+    const start = Date.now()
+    const slowTimer = setTimeout(() => {
+      const seconds = SLOW_REBUILD / 1000
+      customLog(
+        [
+          `${task.buildId}: still running after ${seconds}s, new changes will be rebuilt when it finishes`,
+          `- if the task is stuck, set the 'timeout' option or config property`
+        ].join('\n')
+      )
+    }, SLOW_REBUILD)
+    gulp.series(task.buildId)(err => {
+      clearTimeout(slowTimer)
+      running = false
+      const status = err ? 'failed' : 'rebuilt'
+      customLog(`${task.buildId}: ${status} after ${Date.now() - start} ms`)
+      // changes which happened during the build
+      if (pending.size > 0) schedule()
+    })
+  }
+
+  const schedule = () => {
+    if (timer) clearTimeout(timer)
+    timer = setTimeout(rebuild, settings.debounce)
+  }
+
+  watcher.on('all', (event, filePath) => {
+    if (!settings.events.includes(event)) return
+    pending.add(path.resolve(cwd || '.', filePath))
+    if (!running) schedule()
+  })
+
+  return watcher
+}
+
+module.exports = {
+  validateWatchOptions,
+  watchTask
+}